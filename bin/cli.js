@@ -16,6 +16,7 @@ const {
   getHttpPort,
   getHttpsPort,
   isHttpsEnabled,
+  getPortRange,
 } = require("../src/config");
 const {
   updateHostsFile,
@@ -24,6 +25,10 @@ const {
   HOSTS_FILE,
 } = require("../src/hosts");
 const { startProxyServer } = require("../src/proxy");
+const {
+  resolveDevCommand,
+  resolveProjectNode,
+} = require("../src/process-manager");
 const {
   isMkcertInstalled,
   getMkcertVersion,
@@ -36,7 +41,6 @@ const {
   deleteCertificates,
 } = require("../src/certificates");
 const {
-  isNextJsProject,
   writeProjectConfig,
   getDefaultProjectConfig,
   registerProject,
@@ -47,12 +51,38 @@ const {
   getProject,
 } = require("../src/project-config");
 const {
-  getAllProcesses,
-  getProcessInfo,
-  startDevServer,
-  stopDevServer,
-  restartDevServer,
-} = require("../src/process-manager");
+  PORT_KIND,
+  getProjectPort,
+  getPortClaims,
+  findPortConflicts,
+  assignProjectPort,
+} = require("../src/ports");
+const {
+  getProjectServices,
+  getUnitDomains,
+  getServiceHostnames,
+} = require("../src/services");
+const { getDiscoveryEnv, getPublicUrl } = require("../src/discovery");
+const { getPortListeners, getProcessCommand } = require("../src/process-utils");
+const {
+  FRAMEWORKS,
+  detectFramework,
+  getFramework,
+} = require("../src/frameworks");
+const {
+  DAEMON_NOT_RUNNING,
+  openControlRequest,
+  sendControlRequest,
+} = require("../src/control");
+const {
+  LOG_STREAM,
+  getLogFile,
+  parseSince,
+  readLogs,
+  followLogs,
+  readMergedLogs,
+  followMergedLogs,
+} = require("../src/logs");
 
 program
   .name("nextium")
@@ -60,12 +90,16 @@ program
   .version("1.0.0");
 
 /**
- * Create/setup a Next.js project with Nextium
+ * Create/setup a project with Nextium
  */
 program
   .command("create")
-  .description(
-    "Setup a Next.js project with Nextium (run in project directory)"
+  .description("Setup a project with Nextium (run in project directory)")
+  .option(
+    "--framework <name>",
+    `Framework preset, when detection fails (${Object.keys(FRAMEWORKS).join(
+      ", "
+    )})`
   )
   .option(
     "--dev-flags <flags>",
@@ -75,23 +109,46 @@ program
     try {
       const projectPath = process.cwd();
 
-      // Check if in a Next.js project
-      if (!isNextJsProject(projectPath)) {
-        console.log(chalk.red("✗ Not a Next.js project"));
+      if (cmdOptions.framework && !getFramework(cmdOptions.framework)) {
+        console.log(chalk.red(`✗ Unknown framework: ${cmdOptions.framework}`));
+        console.log(
+          chalk.gray(`Supported: ${Object.keys(FRAMEWORKS).join(", ")}`)
+        );
+        process.exit(1);
+      }
+
+      // Check for a supported framework
+      const frameworkKey = cmdOptions.framework || detectFramework(projectPath);
+      if (!frameworkKey) {
+        console.log(chalk.red("✗ No supported framework detected"));
         console.log(
           chalk.yellow(
-            "This directory doesn't appear to contain a Next.js project."
+            "This directory doesn't appear to contain a supported project."
+          )
+        );
+        console.log(
+          chalk.gray(
+            `Supported: ${Object.values(FRAMEWORKS)
+              .map((framework) => framework.name)
+              .join(", ")}`
           )
         );
         console.log(
           chalk.gray(
-            'Make sure you have a package.json with "next" as a dependency.'
+            "Pick one explicitly with: nextium create --framework <name>"
           )
         );
         process.exit(1);
       }
 
-      console.log(chalk.green("✓ Detected Next.js project"));
+      const framework = getFramework(frameworkKey);
+      console.log(
+        chalk.green(
+          cmdOptions.framework
+            ? `✓ Using ${framework.name} preset`
+            : `✓ Detected ${framework.name} project`
+        )
+      );
       console.log("");
 
       // Suggest domain name
@@ -122,7 +179,7 @@ program
       const finalDomain = domain.trim();
 
       // Create configuration
-      const config = getDefaultProjectConfig(finalDomain);
+      const config = getDefaultProjectConfig(finalDomain, frameworkKey);
 
       // Add dev flags if provided
       if (cmdOptions.devFlags) {
@@ -144,6 +201,17 @@ program
       registerProject(finalDomain, projectPath, config);
       console.log(chalk.green("✓ Registered project"));
 
+      // Give it a port that stays the same across restarts
+      const port = assignProjectPort(finalDomain);
+      console.log(chalk.green(`✓ Assigned port ${port}`));
+      for (const conflict of findPortConflicts(finalDomain, port)) {
+        console.log(
+          chalk.yellow(
+            `⚠ Port ${port} is also used by ${conflict.owner} (${conflict.kind})`
+          )
+        );
+      }
+
       // Update hosts file
       if (!checkPermissions()) {
         console.log(
@@ -211,15 +279,36 @@ program
     }
   });
 
+// Starts and restarts can include a first dependency install and the
+// readiness wait, which the daemon bounds itself - wait as long as it takes
+const WAIT_FOR_START = { timeoutMs: null };
+
+/**
+ * Send a request to the daemon, exiting with a clear message if it isn't running
+ */
+async function requestDaemon(command, args, options) {
+  try {
+    return await sendControlRequest(command, args, options);
+  } catch (error) {
+    if (error.code === DAEMON_NOT_RUNNING) {
+      console.log(chalk.red("✗ Nextium daemon is not running"));
+      console.log(
+        chalk.gray(`Start it with: ${chalk.bold("sudo nextium start")}`)
+      );
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
 /**
  * List all registered projects and their status
  */
 program
   .command("ps")
   .description("List all registered projects and their status")
-  .action(() => {
+  .action(async () => {
     const projects = getAllProjects();
-    const processes = getAllProcesses();
 
     if (Object.keys(projects).length === 0) {
       console.log(chalk.yellow("No projects registered."));
@@ -227,53 +316,514 @@ program
         chalk.cyan(
           `\nRun ${chalk.bold(
             "nextium create"
-          )} in a Next.js project to get started.`
+          )} in a project directory to get started.`
         )
       );
       return;
     }
 
+    // The daemon owns all managed processes; without it nothing is running
+    let processes = {};
+    let daemonRunning = true;
+    try {
+      processes = await sendControlRequest(
+        "status",
+        { stats: true },
+        { timeoutMs: 5000 }
+      );
+    } catch (error) {
+      daemonRunning = false;
+    }
+
     console.log(chalk.bold("\nNextium Projects:\n"));
 
     Object.entries(projects).forEach(([domain, project]) => {
       const processInfo = processes[domain];
+      const { status, details } = describeProcess(domain, processInfo);
+
+      // The command that is running, or the one the next start will run
+      let command = processInfo && processInfo.command;
+      if (!command) {
+        try {
+          command = resolveDevCommand(project).command;
+        } catch (error) {
+          command = null;
+        }
+      }
+
+      // The Node.js version the project asks for, if any
+      let node = null;
+      try {
+        node = resolveProjectNode(project);
+      } catch (error) {
+        node = null;
+      }
+
+      console.log(`  ${chalk.cyan(domain.padEnd(35))} ${status}${details}`);
+      if (processInfo && processInfo.stats && processInfo.stats.rss !== null) {
+        console.log(chalk.gray(`    ${formatStats(processInfo.stats)}`));
+      }
+      console.log(chalk.gray(`    ${project.path}`));
+      if (command) {
+        console.log(chalk.gray(`    $ ${command}`));
+      }
+      if ((project.config.dependsOn || []).length > 0) {
+        console.log(
+          chalk.gray(`    depends on ${project.config.dependsOn.join(", ")}`)
+        );
+      }
+      if (node && node.warning) {
+        console.log(chalk.yellow(`    ⚠ ${node.warning}`));
+      } else if (node) {
+        const version = (processInfo && processInfo.node) || node.version;
+        console.log(chalk.gray(`    node ${version} (${node.source})`));
+      }
+      if (project.configError) {
+        console.log(
+          chalk.yellow(
+            `    ⚠ ${project.configError} (using the last valid config)`
+          )
+        );
+      }
+
+      // Sub-services, as a tree under the project
+      let services = [];
+      try {
+        services = getProjectServices(project);
+      } catch (error) {
+        console.log(chalk.yellow(`    ⚠ ${error.message}`));
+      }
+      const nameWidth = Math.max(0, ...services.map((svc) => svc.name.length));
+      services.forEach((service, index) => {
+        const branch = index === services.length - 1 ? "└─" : "├─";
+        const serviceInfo = processes[service.key];
+        const info = describeProcess(service.key, serviceInfo);
+        const usage =
+          serviceInfo && serviceInfo.stats && serviceInfo.stats.rss !== null
+            ? chalk.gray(
+                `, cpu ${serviceInfo.stats.cpuPercent}%, ${formatMemory(
+                  serviceInfo.stats.rss
+                )}`
+              )
+            : "";
+        const url = service.subdomain
+          ? chalk.cyan(`  ${getPublicUrl(service.key)}`)
+          : "";
+        console.log(
+          `    ${chalk.gray(branch)} ${service.name.padEnd(nameWidth)}  ${
+            info.status
+          }${info.details}${usage}${url}`
+        );
+      });
+      console.log("");
+    });
+
+    if (!daemonRunning) {
+      console.log(
+        chalk.yellow(
+          `⚠ Nextium daemon is not running. Start it with: ${chalk.bold(
+            "sudo nextium start"
+          )}`
+        )
+      );
+      console.log("");
+    }
+  });
+
+/**
+ * Show which port each project and mapping uses
+ */
+program
+  .command("ports")
+  .description("Show the ports assigned to projects and mappings")
+  .action(async () => {
+    const projects = getAllProjects();
+    const claims = getPortClaims();
+    const { start, end } = getPortRange();
 
+    let processes = {};
+    let daemonRunning = true;
+    try {
+      processes = await sendControlRequest("status", {}, { timeoutMs: 5000 });
+    } catch (error) {
+      daemonRunning = false;
+    }
+
+    const sticky = claims.filter((claim) => claim.kind === PORT_KIND.STICKY);
+    console.log(
+      chalk.bold(
+        `\nPorts (auto range ${start}-${end}, ${sticky.length} assigned):\n`
+      )
+    );
+
+    // Projects without a port get one on their first start
+    const unassigned = Object.keys(projects).filter(
+      (domain) => !getProjectPort(projects[domain])
+    );
+    if (claims.length === 0 && unassigned.length === 0) {
+      console.log(chalk.yellow("No projects or mappings configured."));
+      return;
+    }
+
+    const counts = {};
+    for (const claim of claims) {
+      counts[claim.port] = (counts[claim.port] || 0) + 1;
+    }
+
+    for (const claim of [...claims].sort((a, b) => a.port - b.port)) {
+      const processInfo = processes[claim.owner];
       let status;
-      let details = "";
-
-      if (processInfo) {
-        if (processInfo.state === "running" || processInfo.state === "manual") {
-          const mode = processInfo.mode === "manual" ? " (manual)" : "";
-          status = chalk.green(`● RUNNING${mode}`);
-          details = chalk.gray(
-            ` on port ${processInfo.port}, PID ${processInfo.pid}`
+      if (processInfo && processInfo.state !== "stopped") {
+        status =
+          processInfo.port === claim.port
+            ? chalk.green(`● ${processInfo.state}`)
+            : chalk.yellow(
+                `● ${processInfo.state} on port ${processInfo.port} (port ${claim.port} was busy)`
+              );
+      } else {
+        const listeners = getPortListeners(claim.port);
+        if (listeners.length === 0) {
+          status = chalk.gray("○ free");
+        } else if (claim.kind === PORT_KIND.MAPPING) {
+          status = chalk.green("● listening");
+        } else {
+          status = chalk.yellow(
+            `⚠ in use by ${listeners
+              .map(
+                (pid) => `PID ${pid} (${getProcessCommand(pid) || "unknown"})`
+              )
+              .join(", ")}`
           );
+        }
+      }
 
-          // Calculate idle time
-          const lastAccess = new Date(processInfo.lastAccess);
-          const now = new Date();
-          const idleSeconds = Math.floor((now - lastAccess) / 1000);
-          if (idleSeconds > 60) {
-            details += chalk.gray(`, idle ${Math.floor(idleSeconds / 60)}m`);
-          } else {
-            details += chalk.gray(`, active`);
-          }
-        } else if (processInfo.state === "starting") {
-          status = chalk.yellow("◐ STARTING");
-          details = chalk.gray(` on port ${processInfo.port}`);
-        } else if (processInfo.state === "stopping") {
-          status = chalk.yellow("◑ STOPPING");
+      console.log(
+        `  ${String(claim.port).padEnd(6)} ${chalk.cyan(
+          claim.owner.padEnd(35)
+        )} ${chalk.gray(claim.kind.padEnd(8))} ${status}`
+      );
+      if (counts[claim.port] > 1) {
+        console.log(
+          chalk.red(
+            `         ✗ Conflict: ${claims
+              .filter(
+                (other) =>
+                  other.port === claim.port && other.owner !== claim.owner
+              )
+              .map((other) => other.owner)
+              .join(", ")} also use${counts[claim.port] > 2 ? "" : "s"} port ${
+              claim.port
+            }`
+          )
+        );
+      }
+    }
+
+    for (const domain of unassigned) {
+      console.log(
+        `  ${"-".padEnd(6)} ${chalk.cyan(domain.padEnd(35))} ${chalk.gray(
+          "auto".padEnd(8)
+        )} ${chalk.gray("assigned on first start")}`
+      );
+    }
+    console.log("");
+
+    if (!daemonRunning) {
+      console.log(
+        chalk.yellow("⚠ Nextium daemon is not running - nothing is started")
+      );
+      console.log("");
+    }
+  });
+
+/**
+ * Live view of the running projects and their resource usage
+ */
+program
+  .command("top")
+  .description("Live view of CPU, memory and requests per project")
+  .option("-i, --interval <seconds>", "Refresh interval in seconds", "2")
+  .action((options) => {
+    const interval = parseFloat(options.interval);
+    if (isNaN(interval) || interval <= 0) {
+      console.error(chalk.red("Error: --interval must be a positive number"));
+      process.exit(1);
+    }
+    if (!process.stdout.isTTY || !process.stdin.isTTY) {
+      console.error(
+        chalk.red("Error: nextium top needs a terminal (use nextium ps)")
+      );
+      process.exit(1);
+    }
+
+    const columns = [
+      { title: "NAME", width: 32 },
+      { title: "STATE", width: 9 },
+      { title: "PORT", width: 6 },
+      { title: "PID", width: 8 },
+      { title: "CPU%", width: 6, right: true },
+      { title: "MEM", width: 8, right: true },
+      { title: "UPTIME", width: 7, right: true },
+      { title: "RESTARTS", width: 8, right: true },
+      { title: "REQ/MIN", width: 7, right: true },
+      { title: "COLD START", width: 10, right: true },
+    ];
+    const stateColors = {
+      running: chalk.green,
+      manual: chalk.blue,
+      starting: chalk.yellow,
+      stopping: chalk.yellow,
+      crashed: chalk.red,
+    };
+
+    let rows = [];
+    let selected = 0;
+    let offset = 0;
+    let message = null;
+    let daemonRunning = true;
+    let busy = false;
+    let refreshing = false;
+    let restored = false;
+    let timer = null;
+
+    const formatCell = (column, value) => {
+      const text = String(value);
+      const cell =
+        text.length > column.width
+          ? `${text.slice(0, column.width - 1)}…`
+          : text;
+      return column.right
+        ? cell.padStart(column.width)
+        : cell.padEnd(column.width);
+    };
+
+    // One row per project, followed by its sub-services
+    const buildRows = (processes) => {
+      const result = [];
+      for (const [domain, project] of Object.entries(getAllProjects())) {
+        let services = [];
+        try {
+          services = getProjectServices(project);
+        } catch (error) {
+          // Unreadable Procfile - shown by nextium ps
+        }
+        result.push({ domain, name: domain, info: processes[domain] });
+        services.forEach((service, index) => {
+          const branch = index === services.length - 1 ? "└─" : "├─";
+          result.push({
+            domain: service.key,
+            name: ` ${branch} ${service.name}`,
+            info: processes[service.key],
+          });
+        });
+      }
+      return result;
+    };
+
+    const render = () => {
+      const width = process.stdout.columns || 80;
+      const height = process.stdout.rows || 24;
+      const fit = (line) => line.slice(0, width);
+      const lines = [];
+
+      const running = rows.filter(
+        (row) => row.info && row.info.state !== "stopped"
+      ).length;
+      lines.push(
+        chalk.bold(
+          fit(
+            `Nextium top - ${running} of ${rows.length} running, every ${interval}s`
+          )
+        )
+      );
+      lines.push(chalk.gray(fit("↑/↓ select  s stop  r restart  q quit")));
+      lines.push("");
+      lines.push(
+        chalk.bold(
+          fit(
+            columns.map((column) => formatCell(column, column.title)).join(" ")
+          )
+        )
+      );
+
+      // Keep the selected row on screen below the header and above the
+      // status line
+      const visible = Math.max(1, height - lines.length - 2);
+      if (selected < offset) {
+        offset = selected;
+      } else if (selected >= offset + visible) {
+        offset = selected - visible + 1;
+      }
+
+      rows.slice(offset, offset + visible).forEach((row, index) => {
+        const info = row.info || { state: "stopped" };
+        const stats = info.stats || {};
+        const running = stats.rss !== null && stats.rss !== undefined;
+        const line = fit(
+          [
+            row.name,
+            info.state,
+            info.port || "-",
+            info.pid || "-",
+            running ? stats.cpuPercent : "-",
+            formatMemory(stats.rss),
+            formatDuration(stats.uptimeMs),
+            running ? stats.restarts : "-",
+            running ? stats.requestsPerMinute : "-",
+            stats.coldStartMs
+              ? `${(stats.coldStartMs / 1000).toFixed(1)}s`
+              : "-",
+          ]
+            .map((value, column) => formatCell(columns[column], value))
+            .join(" ")
+        );
+        if (offset + index === selected) {
+          lines.push(chalk.inverse(line.padEnd(width)));
         } else {
-          status = chalk.gray("○ STOPPED");
+          lines.push((stateColors[info.state] || chalk.gray)(line));
         }
+      });
+
+      while (lines.length < height - 1) {
+        lines.push("");
+      }
+      if (!daemonRunning) {
+        lines.push(
+          chalk.yellow(
+            fit(
+              "⚠ Nextium daemon is not running. Start it with: sudo nextium start"
+            )
+          )
+        );
       } else {
-        status = chalk.gray("○ STOPPED");
+        lines.push(message ? fit(message) : "");
       }
 
-      console.log(`  ${chalk.cyan(domain.padEnd(35))} ${status}${details}`);
-      console.log(chalk.gray(`    ${project.path}`));
-      console.log("");
+      // Redraw from the top-left corner, clearing each line's remainder
+      process.stdout.write(
+        `\x1b[H${lines.map((line) => `${line}\x1b[K`).join("\n")}\x1b[J`
+      );
+    };
+
+    // A slow daemon must not pile up requests: skip ticks while one runs
+    const refresh = async () => {
+      if (refreshing) {
+        return;
+      }
+      refreshing = true;
+      let processes = {};
+      try {
+        processes = await sendControlRequest(
+          "status",
+          { stats: true },
+          { timeoutMs: 5000 }
+        );
+        daemonRunning = true;
+      } catch (error) {
+        daemonRunning = false;
+      } finally {
+        refreshing = false;
+      }
+      rows = buildRows(processes);
+      selected = Math.min(selected, Math.max(0, rows.length - 1));
+      render();
+    };
+
+    // Leave the alternate screen and raw mode however the process ends
+    const restoreTerminal = () => {
+      if (restored) {
+        return;
+      }
+      restored = true;
+      clearInterval(timer);
+      process.stdin.setRawMode(false);
+      process.stdout.write("\x1b[?25h\x1b[?1049l");
+    };
+
+    const quit = (code = 0) => {
+      restoreTerminal();
+      process.exit(code);
+    };
+
+    const fail = (error) => {
+      restoreTerminal();
+      console.error(chalk.red("Error:"), error.message || error);
+      process.exit(1);
+    };
+
+    // Stop or restart the selected project or service
+    const act = async (command, verb) => {
+      const row = rows[selected];
+      if (!row || busy || !daemonRunning) {
+        return;
+      }
+      busy = true;
+      message = chalk.cyan(`${verb} ${row.domain}...`);
+      render();
+      try {
+        await sendControlRequest(
+          command,
+          { domain: row.domain },
+          WAIT_FOR_START
+        );
+        message = chalk.green(
+          `✓ ${command === "stop" ? "Stopped" : "Restarted"} ${row.domain}`
+        );
+      } catch (error) {
+        message = chalk.red(`✗ ${error.message}`);
+      }
+      busy = false;
+      await refresh();
+    };
+
+    // Alternate screen, hidden cursor, keys without Enter
+    process.stdout.write("\x1b[?1049h\x1b[?25l");
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding("utf8");
+    process.stdin.resume();
+    process.stdin.on("data", (key) => {
+      if (key === "q" || key === "\u0003") {
+        quit(0);
+      } else if (key === "\x1b[A" || key === "k") {
+        selected = Math.max(0, selected - 1);
+        render();
+      } else if (key === "\x1b[B" || key === "j") {
+        selected = Math.min(Math.max(0, rows.length - 1), selected + 1);
+        render();
+      } else if (key === "s") {
+        act("stop", "Stopping");
+      } else if (key === "r") {
+        act("restart", "Restarting");
+      }
     });
+    process.stdout.on("resize", render);
+    process.on("exit", restoreTerminal);
+    process.on("uncaughtException", fail);
+    process.on("unhandledRejection", fail);
+    process.on("SIGTERM", () => quit(143));
+    process.on("SIGHUP", () => quit(129));
+
+    refresh();
+    timer = setInterval(refresh, interval * 1000);
+  });
+
+/**
+ * Print the service discovery variables a project's dev server gets
+ */
+program
+  .command("env")
+  .description("Print the service discovery variables for a project")
+  .argument("<domain>", "Project domain")
+  .action((domain) => {
+    const project = getProject(domain);
+    if (!project) {
+      console.log(chalk.red(`✗ Project ${domain} not found`));
+      process.exit(1);
+    }
+
+    for (const [name, value] of Object.entries(getDiscoveryEnv(project))) {
+      console.log(`${name}=${value}`);
+    }
   });
 
 /**
@@ -292,14 +842,14 @@ program
         process.exit(1);
       }
 
-      const processInfo = getProcessInfo(domain);
+      const processInfo = await requestDaemon("status", { domain });
       if (!processInfo || processInfo.state === "stopped") {
         console.log(chalk.yellow(`Project ${domain} is not running`));
         return;
       }
 
       console.log(`Stopping ${domain}...`);
-      await stopDevServer(domain);
+      await requestDaemon("stop", { domain });
       console.log(chalk.green(`✓ Stopped ${domain}`));
     } catch (error) {
       console.error(chalk.red("Error:"), error.message);
@@ -327,25 +877,32 @@ program
         process.exit(1);
       }
 
-      const processInfo = getProcessInfo(domain);
+      const processInfo = await requestDaemon("status", { domain });
       if (processInfo && processInfo.state !== "stopped") {
         console.log(chalk.yellow(`Project ${domain} is already running`));
         return;
       }
 
       // Override dev flags if provided
+      let devFlags;
       if (cmdOptions.devFlags) {
-        const project = getProject(domain);
-        const flags = cmdOptions.devFlags
+        devFlags = cmdOptions.devFlags
           .split(",")
           .map((f) => f.trim())
           .filter((f) => f);
-        project.config.devFlags = flags;
       }
 
       console.log(`Starting ${domain}...`);
-      const info = await startDevServer(domain);
-      console.log(chalk.green(`✓ Started ${domain} on port ${info.port}`));
+      const info = await requestDaemon(
+        "start",
+        { domain, devFlags },
+        WAIT_FOR_START
+      );
+      console.log(
+        chalk.green(
+          `✓ Started ${domain}${info.port ? ` on port ${info.port}` : ""}`
+        )
+      );
     } catch (error) {
       console.error(chalk.red("Error:"), error.message);
       process.exit(1);
@@ -369,8 +926,12 @@ program
       }
 
       console.log(`Restarting ${domain}...`);
-      const info = await restartDevServer(domain);
-      console.log(chalk.green(`✓ Restarted ${domain} on port ${info.port}`));
+      const info = await requestDaemon("restart", { domain }, WAIT_FOR_START);
+      console.log(
+        chalk.green(
+          `✓ Restarted ${domain}${info.port ? ` on port ${info.port}` : ""}`
+        )
+      );
     } catch (error) {
       console.error(chalk.red("Error:"), error.message);
       process.exit(1);
@@ -393,11 +954,17 @@ program
         process.exit(1);
       }
 
-      // Stop if running
-      const processInfo = getProcessInfo(domain);
-      if (processInfo && processInfo.state !== "stopped") {
-        console.log("Stopping project...");
-        await stopDevServer(domain);
+      // Stop if running (nothing can be running without a daemon)
+      try {
+        const processInfo = await sendControlRequest("status", { domain });
+        if (processInfo && processInfo.state !== "stopped") {
+          console.log("Stopping project...");
+          await sendControlRequest("stop", { domain });
+        }
+      } catch (error) {
+        if (error.code !== DAEMON_NOT_RUNNING) {
+          throw error;
+        }
       }
 
       // Remove from registry
@@ -420,32 +987,254 @@ program
   });
 
 /**
- * View logs for a project (placeholder - would need log file implementation)
+ * Describe a process's state (for `ps`)
+ * @param {string} domain - Project domain or service key
+ * @param {Object|undefined} processInfo - Process info from the daemon
+ * @returns {Object} { status, details } (colored)
+ */
+function describeProcess(domain, processInfo) {
+  let status;
+  let details = "";
+
+  if (processInfo) {
+    if (processInfo.state === "running" || processInfo.state === "manual") {
+      const mode = processInfo.mode === "manual" ? " (manual)" : "";
+      status = chalk.green(`● RUNNING${mode}`);
+      details = chalk.gray(
+        `${processInfo.port ? ` on port ${processInfo.port},` : ""} PID ${
+          processInfo.pid
+        }${processInfo.user ? ` as ${processInfo.user}` : ""}`
+      );
+
+      // Calculate idle time
+      const lastAccess = new Date(processInfo.lastAccess);
+      const now = new Date();
+      const idleSeconds = Math.floor((now - lastAccess) / 1000);
+      if (idleSeconds > 60) {
+        details += chalk.gray(`, idle ${Math.floor(idleSeconds / 60)}m`);
+      } else {
+        details += chalk.gray(`, active`);
+      }
+      if (processInfo.crashCount > 0) {
+        details += chalk.yellow(
+          `, restarted after ${processInfo.crashCount} crash(es)`
+        );
+      }
+    } else if (processInfo.state === "backoff") {
+      const seconds = Math.max(
+        0,
+        Math.round((new Date(processInfo.nextRestartAt) - new Date()) / 1000)
+      );
+      status = chalk.yellow("↻ CRASH LOOP");
+      details = chalk.gray(
+        ` crashed ${processInfo.crashCount}x (${formatExit(
+          processInfo.lastExit
+        )}), restarting in ${seconds}s`
+      );
+    } else if (processInfo.state === "crashed") {
+      status = chalk.red("✗ CRASHED");
+      details = chalk.gray(
+        ` ${processInfo.crashCount}x in a row (${formatExit(
+          processInfo.lastExit
+        )}), not restarting - run nextium restart ${domain}`
+      );
+    } else if (processInfo.state === "starting") {
+      status = chalk.yellow("◐ STARTING");
+      details = processInfo.port
+        ? chalk.gray(` on port ${processInfo.port}`)
+        : "";
+    } else if (processInfo.state === "stopping") {
+      status = chalk.yellow("◑ STOPPING");
+    } else {
+      status = chalk.gray("○ STOPPED");
+    }
+  } else {
+    status = chalk.gray("○ STOPPED");
+  }
+
+  return { status, details };
+}
+
+/**
+ * Format a byte count in megabytes (for `ps` and `top`)
+ */
+function formatMemory(bytes) {
+  return bytes === null || bytes === undefined
+    ? "-"
+    : `${Math.round(bytes / 1048576)} MB`;
+}
+
+/**
+ * Format a duration compactly: 45s, 12m, 3h05m, 2d04h
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return "-";
+  }
+  const seconds = Math.floor(ms / 1000);
+  const pad = (value) => String(value).padStart(2, "0");
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m`;
+  }
+  if (seconds < 86400) {
+    return `${Math.floor(seconds / 3600)}h${pad(
+      Math.floor(seconds / 60) % 60
+    )}m`;
+  }
+  return `${Math.floor(seconds / 86400)}d${pad(
+    Math.floor(seconds / 3600) % 24
+  )}h`;
+}
+
+/**
+ * Describe a running server's resource usage (for `ps`)
+ */
+function formatStats(stats) {
+  const parts = [
+    `cpu ${stats.cpuPercent}%`,
+    formatMemory(stats.rss),
+    `up ${formatDuration(stats.uptimeMs)}`,
+    `${stats.requestsPerMinute} req/min`,
+  ];
+  if (stats.coldStartMs !== null) {
+    parts.push(`cold start ${(stats.coldStartMs / 1000).toFixed(1)}s`);
+  }
+  if (stats.restarts > 0) {
+    parts.push(`${stats.restarts} restart${stats.restarts === 1 ? "" : "s"}`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Describe how a process exited (for `ps`)
+ */
+function formatExit(lastExit) {
+  if (!lastExit) {
+    return "unknown exit";
+  }
+  return lastExit.signal
+    ? `signal ${lastExit.signal}`
+    : `exit code ${lastExit.code}`;
+}
+
+/**
+ * Print a single log entry
+ */
+function printLogEntry(entry) {
+  // Merged logs name the project or service each line comes from
+  const time = entry.domain
+    ? `${chalk.gray(entry.time)} ${chalk.magenta(entry.domain.split(".")[0])}`
+    : chalk.gray(entry.time);
+  if (entry.stream === LOG_STREAM.STDERR) {
+    console.log(`${time} ${chalk.red(entry.text)}`);
+  } else if (entry.stream === LOG_STREAM.SYSTEM) {
+    console.log(`${time} ${chalk.cyan(`[nextium] ${entry.text}`)}`);
+  } else {
+    console.log(`${time} ${entry.text}`);
+  }
+}
+
+/**
+ * View logs for a project
  */
 program
   .command("logs")
   .description("View logs for a project")
   .argument("<domain>", "Project domain")
   .option("-f, --follow", "Follow log output")
-  .action((domain, options) => {
-    const project = getProject(domain);
-    if (!project) {
-      console.log(chalk.red(`✗ Project ${domain} not found`));
-      process.exit(1);
-    }
+  .option("-n, --lines <number>", "Number of lines to show", "100")
+  .option(
+    "--since <time>",
+    "Only show logs since a duration (e.g. 10m, 2h) or date"
+  )
+  .option("--grep <pattern>", "Only show lines matching a pattern (regex)")
+  .option("-e, --stderr", "Only show stderr output")
+  .option("-s, --services", "Include the project's sub-services")
+  .action(async (domain, options) => {
+    try {
+      const project = getProject(domain);
+      if (!project) {
+        console.log(chalk.red(`✗ Project ${domain} not found`));
+        process.exit(1);
+      }
 
-    const processInfo = getProcessInfo(domain);
-    if (!processInfo || processInfo.state === "stopped") {
-      console.log(chalk.yellow(`Project ${domain} is not running`));
-      console.log(chalk.gray("Start it with: nextium start-project " + domain));
-      return;
-    }
+      const lines = parseInt(options.lines);
+      if (isNaN(lines) || lines < 0) {
+        console.error(chalk.red("Error: --lines must be a positive number"));
+        process.exit(1);
+      }
 
-    console.log(chalk.cyan(`Logs for ${domain} (PID ${processInfo.pid}):`));
-    console.log(
-      chalk.gray("Note: Log viewing will be enhanced in future versions")
-    );
-    console.log(chalk.gray(`Project is running on port ${processInfo.port}`));
+      const query = {
+        lines,
+        since: options.since ? parseSince(options.since) : null,
+        grep: options.grep,
+        stream: options.stderr ? LOG_STREAM.STDERR : null,
+      };
+
+      // Tail through the daemon; without one, read the log files directly
+      let entries;
+      let stopFollowing = null;
+      try {
+        const { result, close } = await openControlRequest(
+          "logs",
+          {
+            domain,
+            ...query,
+            follow: !!options.follow,
+            services: !!options.services,
+          },
+          {
+            onEvent: (message) => printLogEntry(message.entry),
+            onClose: () => process.exit(0),
+          }
+        );
+        entries = result;
+        stopFollowing = close;
+      } catch (error) {
+        if (error.code !== DAEMON_NOT_RUNNING) {
+          throw error;
+        }
+        if (options.services) {
+          const domains = getUnitDomains(domain, project);
+          entries = readMergedLogs(domains, query);
+          if (options.follow) {
+            stopFollowing = followMergedLogs(domains, query, printLogEntry);
+          }
+        } else {
+          entries = readLogs(domain, query);
+          if (options.follow) {
+            stopFollowing = followLogs(domain, query, printLogEntry);
+          }
+        }
+      }
+
+      entries.forEach(printLogEntry);
+
+      if (!options.follow) {
+        if (stopFollowing) {
+          stopFollowing();
+        }
+        if (entries.length === 0) {
+          console.log(chalk.yellow(`No matching logs for ${domain}`));
+        }
+        console.log(chalk.gray(`\nLog file: ${getLogFile(domain)}`));
+        return;
+      }
+
+      console.log(
+        chalk.cyan(`Following logs for ${domain} (Ctrl+C to stop)...`)
+      );
+      process.on("SIGINT", () => {
+        stopFollowing();
+        process.exit(0);
+      });
+    } catch (error) {
+      console.error(chalk.red("Error:"), error.message);
+      process.exit(1);
+    }
   });
 
 /**
@@ -458,7 +1247,7 @@ program
   .option("--attach", "Attach to existing process without restarting")
   .option("--restart", "Force restart even if already running")
   .option(
-    "--detach, -d",
+    "-d, --detach",
     "Keep server running after exit (returns to managed mode)"
   )
   .option("--stop", "Stop server when exiting (default)")
@@ -477,13 +1266,14 @@ program
         process.exit(1);
       }
 
-      let processInfo = getProcessInfo(domain);
+      const noPrompt = options.prompt === false;
+      let processInfo = await requestDaemon("status", { domain });
       let shouldRestart = false;
       let exitBehavior = "stop"; // default
 
       // Handle existing process
       if (processInfo && processInfo.state !== "stopped") {
-        if (options.noPrompt) {
+        if (noPrompt) {
           // Default: attach
           if (options.restart) {
             shouldRestart = true;
@@ -516,14 +1306,14 @@ program
 
         if (shouldRestart || options.restart) {
           console.log("Restarting...");
-          await stopDevServer(domain);
+          await requestDaemon("stop", { domain });
           await new Promise((resolve) => setTimeout(resolve, 1000));
           processInfo = null;
         }
       }
 
       // Ask about exit behavior
-      if (!options.noPrompt && !options.detach && !options.stop) {
+      if (!noPrompt && !options.detach && !options.stop) {
         const { exit } = await inquirer.prompt([
           {
             type: "list",
@@ -542,32 +1332,63 @@ program
       }
 
       // Override dev flags if provided
+      let devFlags;
       if (options.devFlags) {
-        const flags = options.devFlags
+        devFlags = options.devFlags
           .split(",")
           .map((f) => f.trim())
           .filter((f) => f);
-        project.config.devFlags = flags;
       }
 
+      const attaching = processInfo && processInfo.state !== "stopped";
+      const lostConnection = () => {
+        console.log(chalk.yellow("\nLost connection to Nextium daemon"));
+        process.exit(1);
+      };
+
+      // Stream the daemon's log capture for this project
+      await openControlRequest(
+        "logs",
+        { domain, lines: attaching ? 20 : 0, follow: true },
+        {
+          onEvent: ({ entry }) => {
+            if (entry.stream === LOG_STREAM.STDERR) {
+              console.error(entry.text);
+            } else if (entry.stream === LOG_STREAM.SYSTEM) {
+              console.log(chalk.cyan(`[nextium] ${entry.text}`));
+            } else {
+              console.log(entry.text);
+            }
+          },
+          onClose: lostConnection,
+        }
+      );
+
+      // Manual mode lasts as long as this connection: when this CLI goes
+      // away without cleaning up (closed terminal, crash, kill -9), the
+      // daemon stops or hands back the server itself
+      await openControlRequest(
+        "attach",
+        { domain, onExit: exitBehavior },
+        { onClose: lostConnection }
+      );
+
       // Start or attach to process
-      if (!processInfo || processInfo.state === "stopped") {
+      if (!attaching) {
         console.log(chalk.cyan(`Starting ${domain}...`));
         try {
-          processInfo = await startDevServer(domain, {
-            manual: true,
-            streamLogs: true,
-          });
+          processInfo = await requestDaemon(
+            "start",
+            { domain, manual: true, devFlags },
+            WAIT_FOR_START
+          );
         } catch (error) {
           console.error(chalk.red("Failed to start dev server:"));
           console.error(chalk.red(error.message));
-          if (error.originalError) {
-            console.error(
-              chalk.gray(`Original error: ${error.originalError.message}`)
-            );
-          }
           process.exit(1);
         }
+      } else {
+        await requestDaemon("mode", { domain, mode: "manual" });
       }
 
       // Display info
@@ -589,9 +1410,10 @@ program
         console.log(chalk.cyan("\nExiting manual mode..."));
 
         if (exitBehavior === "stop") {
-          await stopDevServer(domain);
+          await requestDaemon("stop", { domain });
           console.log(chalk.green(`✓ Stopped ${domain}`));
         } else {
+          await requestDaemon("mode", { domain, mode: "managed" });
           console.log(chalk.green(`✓ Detached from ${domain}`));
           console.log(chalk.gray("Server is still running in background"));
           console.log(chalk.gray(`View logs: nextium logs ${domain}`));
@@ -602,6 +1424,7 @@ program
 
       process.on("SIGINT", cleanup);
       process.on("SIGTERM", cleanup);
+      process.on("SIGHUP", cleanup);
 
       // Keep process alive
       await new Promise(() => {}); // Never resolves, waits for SIGINT
@@ -665,6 +1488,26 @@ program
         }
       }
 
+      // Check the port against projects and other mappings
+      const conflicts = findPortConflicts(domain, port);
+      if (conflicts.length > 0 && !options.yes) {
+        const { confirm } = await inquirer.prompt([
+          {
+            type: "confirm",
+            name: "confirm",
+            message: `Port ${port} is already used by ${conflicts
+              .map((conflict) => `${conflict.owner} (${conflict.kind})`)
+              .join(", ")}. Add anyway?`,
+            default: false,
+          },
+        ]);
+
+        if (!confirm) {
+          console.log(chalk.yellow("Cancelled."));
+          return;
+        }
+      }
+
       // Check for existing mapping
       const mappings = getAllMappings();
       if (mappings[domain] && !options.yes) {
@@ -921,7 +1764,7 @@ program
           chalk.cyan(
             `Use ${chalk.bold(
               "nextium create"
-            )} to setup a Next.js project, or ${chalk.bold(
+            )} to setup a project, or ${chalk.bold(
               "nextium add"
             )} to add a mapping.`
           )
@@ -1001,8 +1844,12 @@ program
               )
             );
           } else {
-            // Ensure certificates are generated
-            const domains = Object.keys(mappings);
+            // Ensure certificates are generated; nested service
+            // subdomains are not covered by the *.nextium.local wildcard
+            const domains = [
+              ...Object.keys(mappings),
+              ...getServiceHostnames(getAllProjects()),
+            ];
             const certResult = ensureCertificates(domains);
 
             if (certResult.success) {
@@ -1062,6 +1909,9 @@ program
         // Add Nextium projects (port doesn't matter for Nextium projects)
         allDomains[domain] = 0;
       });
+      getServiceHostnames(projects).forEach((hostname) => {
+        allDomains[hostname] = 0;
+      });
 
       updateHostsFile(allDomains);
       const totalCount = Object.keys(allDomains).length;
@@ -1198,6 +2048,16 @@ program
       console.log("");
     }
 
+    for (const [domain, project] of Object.entries(getAllProjects())) {
+      if (project.configError) {
+        console.log(
+          chalk.yellow(
+            `⚠ ${domain}: ${project.configError} (using the last valid config)`
+          )
+        );
+      }
+    }
+
     if (!hasPermissions) {
       console.log(chalk.yellow("⚠ Run with sudo to modify hosts file"));
     }
@@ -159,9 +159,11 @@ function certificatesExist(domains) {
   }
   
   // All domains should be .nextium.local (validated elsewhere)
-  // With wildcard, we don't need to check individual .nextium.local domains
-  // Just verify that the certificate was generated with wildcard
-  return true;
+  // The wildcard covers one label, so only nested names (service
+  // subdomains like api.myapp.nextium.local) need to be listed themselves
+  return domains.every(
+    domain => savedSet.has(domain) || domain.split('.').length <= 3
+  );
 }
 
 /**
@@ -26,7 +26,8 @@ function getDefaultConfig() {
     proxyPort: 80, // Legacy field, kept for backward compatibility
     httpPort: 80,
     httpsPort: 443,
-    httpsEnabled: true
+    httpsEnabled: true,
+    portRange: { start: 3000, end: 3999 } // Ports given to "auto" projects
   };
 }
 
@@ -105,6 +106,24 @@ function validateConfig(config) {
     });
   }
   
+  // Validate port range
+  if (config.portRange) {
+    const { start, end } = config.portRange;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || start > end) {
+      throw new Error(`Invalid portRange: ${JSON.stringify(config.portRange)} (needs start <= end, both 1-65535)`);
+    }
+  }
+  
+  // Validate resource limits
+  if (config.limits) {
+    for (const name of ['maxServers', 'maxTotalRssMb', 'maxProjectRssMb']) {
+      const value = config.limits[name];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`Invalid limits.${name}: ${value} (needs a positive integer)`);
+      }
+    }
+  }
+  
   // Validate domain names
   if (config.mappings) {
     Object.keys(config.mappings).forEach(domain => {
@@ -277,7 +296,40 @@ function isHttpsEnabled() {
   return config.httpsEnabled !== false; // Default to true
 }
 
+/**
+ * Get the range "auto" projects are given ports from
+ * @returns {Object} { start, end }
+ */
+function getPortRange() {
+  const config = loadConfig();
+  return config.portRange || getDefaultConfig().portRange;
+}
+
+/**
+ * Get the global resource limits for managed dev servers (unset ones are
+ * null): how many may run at once, their total RSS, and the RSS of each
+ * @returns {Object} { maxServers, maxTotalRssMb, maxProjectRssMb }
+ */
+function getResourceLimits() {
+  const config = loadConfig();
+  const limits = config.limits || {};
+  return {
+    maxServers: limits.maxServers || null,
+    maxTotalRssMb: limits.maxTotalRssMb || null,
+    maxProjectRssMb: limits.maxProjectRssMb || null
+  };
+}
+
+/**
+ * Check if dev servers may run as root (off by default)
+ */
+function isRootAllowed() {
+  const config = loadConfig();
+  return config.allowRoot === true;
+}
+
 module.exports = {
+  USER_HOME,
   CONFIG_DIR,
   CONFIG_FILE,
   HOSTS_BACKUP,
@@ -296,6 +348,9 @@ module.exports = {
   getHttpsPort,
   setHttpsEnabled,
   isHttpsEnabled,
+  isRootAllowed,
+  getPortRange,
+  getResourceLimits,
   validateNextiumDomain
 };
 
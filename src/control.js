@@ -0,0 +1,464 @@
+const net = require("net");
+const fs = require("fs");
+const path = require("path");
+const { CONFIG_DIR } = require("./config");
+const { getProject } = require("./project-config");
+const {
+  startDevServer,
+  stopDevServer,
+  restartDevServer,
+  setProcessMode,
+  releaseManualMode,
+  clearCrashState,
+  getProcessInfo,
+  getAllProcesses,
+  getProcessStats,
+} = require("./process-manager");
+const {
+  readLogs,
+  followLogs,
+  readMergedLogs,
+  followMergedLogs,
+} = require("./logs");
+const { getUnitDomains } = require("./services");
+
+// Unix socket (named pipe on Windows) served by the daemon
+const CONTROL_SOCKET =
+  process.platform === "win32"
+    ? "\\\\.\\pipe\\nextium-control"
+    : path.join(CONFIG_DIR, "control.sock");
+
+// Error code for requests made while no daemon is listening
+const DAEMON_NOT_RUNNING = "DAEMON_NOT_RUNNING";
+
+let controlServer = null;
+
+/**
+ * Require a registered project
+ * @param {string} domain - Project domain
+ * @returns {Object} Project info
+ * @throws {Error} If the project is not registered
+ */
+function requireProject(domain) {
+  const project = getProject(domain);
+  if (!project) {
+    throw new Error(`Project ${domain} not found`);
+  }
+  return project;
+}
+
+/**
+ * Build a log query from request arguments
+ */
+function toLogQuery(args) {
+  return {
+    lines: typeof args.lines === "number" ? args.lines : undefined,
+    since: args.since ? new Date(args.since) : null,
+    grep: args.grep,
+    stream: args.stream,
+  };
+}
+
+/**
+ * Control command handlers, run inside the daemon.
+ * Each receives the request arguments and a `subscribe` function that keeps
+ * the connection open and sends further events to the client.
+ */
+const handlers = {
+  async start(args) {
+    requireProject(args.domain);
+    // Starting by hand gives a crash-looping project a fresh set of retries
+    clearCrashState(args.domain);
+    await startDevServer(args.domain, {
+      manual: !!args.manual,
+      devFlags: args.devFlags,
+    });
+    return getProcessInfo(args.domain);
+  },
+
+  async stop(args) {
+    requireProject(args.domain);
+    return stopDevServer(args.domain, !!args.force);
+  },
+
+  async restart(args) {
+    requireProject(args.domain);
+    clearCrashState(args.domain);
+    await restartDevServer(args.domain, { devFlags: args.devFlags });
+    return getProcessInfo(args.domain);
+  },
+
+  async mode(args) {
+    requireProject(args.domain);
+    if (!["manual", "managed"].includes(args.mode)) {
+      throw new Error(`Invalid mode: ${args.mode}`);
+    }
+    return setProcessMode(args.domain, args.mode);
+  },
+
+  // Held open by `nextium dev` while it runs: however the connection ends
+  // (Ctrl+C, a closed terminal, a crash), the server leaves manual mode -
+  // stopped with `onExit: "stop"`, else handed back to management
+  async attach(args, subscribe) {
+    requireProject(args.domain);
+    subscribe(() => () => {
+      releaseManualMode(args.domain, args.onExit).catch((error) => {
+        console.error(
+          `[Control] Failed to end manual mode for ${args.domain}:`,
+          error.message
+        );
+      });
+    });
+    return true;
+  },
+
+  async status(args) {
+    if (args.domain) {
+      return getProcessInfo(args.domain);
+    }
+
+    const processes = getAllProcesses();
+    // CPU, memory, uptime, restarts, request rate and cold start time
+    if (args.stats) {
+      for (const [domain, stats] of Object.entries(getProcessStats())) {
+        if (processes[domain]) {
+          processes[domain].stats = stats;
+        }
+      }
+    }
+    return processes;
+  },
+
+  async logs(args, subscribe) {
+    const project = requireProject(args.domain);
+    const query = toLogQuery(args);
+
+    // With services, the project's and its sub-services' logs interleaved
+    if (args.services) {
+      const domains = getUnitDomains(args.domain, project);
+      if (args.follow) {
+        subscribe((send) =>
+          followMergedLogs(domains, query, (entry) =>
+            send({ event: "log", entry })
+          )
+        );
+      }
+      return readMergedLogs(domains, query);
+    }
+
+    const entries = readLogs(args.domain, query);
+
+    if (args.follow) {
+      subscribe((send) =>
+        followLogs(args.domain, query, (entry) => send({ event: "log", entry }))
+      );
+    }
+
+    return entries;
+  },
+};
+
+/**
+ * Handle a single client connection (one request per connection)
+ */
+function handleConnection(socket) {
+  let buffer = "";
+  let unsubscribe = null;
+
+  const send = (message) => {
+    if (!socket.destroyed) {
+      socket.write(JSON.stringify(message) + "\n");
+    }
+  };
+
+  socket.on("error", () => {
+    // Client went away; nothing to do
+  });
+
+  socket.on("close", () => {
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  });
+
+  socket.on("data", async (data) => {
+    buffer += data.toString();
+    const newline = buffer.indexOf("\n");
+    if (newline === -1) {
+      return;
+    }
+
+    const line = buffer.slice(0, newline);
+    socket.removeAllListeners("data");
+
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      send({ ok: false, error: "Invalid request" });
+      socket.end();
+      return;
+    }
+
+    const handler = handlers[request.command];
+    if (!handler) {
+      send({ ok: false, error: `Unknown command: ${request.command}` });
+      socket.end();
+      return;
+    }
+
+    let subscription = null;
+    try {
+      const result = await handler(request.args || {}, (start) => {
+        subscription = start;
+      });
+      send({ ok: true, result });
+    } catch (error) {
+      send({ ok: false, error: error.message });
+    }
+
+    if (subscription) {
+      unsubscribe = subscription(send);
+      // The client may have gone while the handler ran
+      if (socket.destroyed) {
+        unsubscribe();
+      }
+    } else {
+      socket.end();
+    }
+  });
+}
+
+/**
+ * Remove a leftover socket file if no daemon is listening on it
+ * @returns {Promise<void>}
+ * @throws {Error} If another daemon is already listening
+ */
+function clearStaleSocket() {
+  return new Promise((resolve, reject) => {
+    if (process.platform === "win32" || !fs.existsSync(CONTROL_SOCKET)) {
+      resolve();
+      return;
+    }
+
+    const probe = net.connect(CONTROL_SOCKET);
+    probe.once("connect", () => {
+      probe.destroy();
+      reject(new Error("Another Nextium daemon is already running"));
+    });
+    probe.once("error", () => {
+      try {
+        fs.unlinkSync(CONTROL_SOCKET);
+      } catch (error) {
+        // Ignore - listen will report a real problem
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Start the control server in the daemon
+ * @returns {Promise<net.Server>} Listening server
+ */
+async function startControlServer() {
+  if (controlServer) {
+    return controlServer;
+  }
+
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  }
+
+  await clearStaleSocket();
+
+  const server = net.createServer(handleConnection);
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(CONTROL_SOCKET, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  // The daemon runs as root; hand the socket to the owner of ~/.nextium so
+  // their CLI can connect, and nobody else
+  if (process.platform !== "win32") {
+    try {
+      const { uid, gid } = fs.statSync(CONFIG_DIR);
+      fs.chownSync(CONTROL_SOCKET, uid, gid);
+      fs.chmodSync(CONTROL_SOCKET, 0o600);
+    } catch (error) {
+      // Not running as root - the socket already belongs to the caller
+    }
+  }
+
+  controlServer = server;
+  return server;
+}
+
+/**
+ * Stop the control server and remove its socket
+ */
+function stopControlServer() {
+  if (!controlServer) {
+    return;
+  }
+
+  controlServer.close();
+  controlServer = null;
+
+  if (process.platform !== "win32") {
+    try {
+      fs.unlinkSync(CONTROL_SOCKET);
+    } catch (error) {
+      // Already removed
+    }
+  }
+}
+
+/**
+ * Create the error returned when no daemon is listening
+ */
+function daemonNotRunningError() {
+  const error = new Error(
+    "Nextium daemon is not running. Start it with: sudo nextium start"
+  );
+  error.code = DAEMON_NOT_RUNNING;
+  return error;
+}
+
+/**
+ * Open a connection to the daemon and send a request
+ * @param {string} command - Control command
+ * @param {Object} args - Command arguments
+ * @param {Object} options - { timeoutMs, onEvent, onClose } (timeoutMs:
+ *   null waits as long as the daemon takes)
+ * @returns {Promise<Object>} { result, close } once the response arrives
+ */
+function openControlRequest(command, args = {}, options = {}) {
+  const { timeoutMs = 120000, onEvent, onClose } = options;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(CONTROL_SOCKET);
+    let buffer = "";
+    let responded = false;
+
+    const timeout =
+      timeoutMs === null
+        ? null
+        : setTimeout(() => {
+            socket.destroy();
+            reject(
+              new Error(`Timed out waiting for daemon to handle "${command}"`)
+            );
+          }, timeoutMs);
+
+    const close = () => socket.destroy();
+
+    socket.once("connect", () => {
+      socket.write(JSON.stringify({ command, args }) + "\n");
+    });
+
+    socket.on("error", (error) => {
+      clearTimeout(timeout);
+      if (
+        !responded &&
+        ["ENOENT", "ECONNREFUSED", "EACCES"].includes(error.code)
+      ) {
+        reject(
+          error.code === "EACCES"
+            ? new Error(
+                `Permission denied connecting to the daemon (${CONTROL_SOCKET})`
+              )
+            : daemonNotRunningError()
+        );
+      } else if (!responded) {
+        reject(error);
+      }
+    });
+
+    socket.on("close", () => {
+      clearTimeout(timeout);
+      if (!responded) {
+        reject(new Error("Daemon closed the connection without responding"));
+      } else if (onClose) {
+        onClose();
+      }
+    });
+
+    socket.on("data", (data) => {
+      buffer += data.toString();
+      let newline;
+      while ((newline = buffer.indexOf("\n")) !== -1) {
+        let message;
+        try {
+          message = JSON.parse(buffer.slice(0, newline));
+        } catch (error) {
+          // A garbled line: fail the request, or end the event stream
+          socket.destroy();
+          if (!responded) {
+            responded = true;
+            clearTimeout(timeout);
+            reject(
+              new Error(`Invalid response from the daemon: ${error.message}`)
+            );
+          }
+          return;
+        }
+        buffer = buffer.slice(newline + 1);
+
+        if (!responded) {
+          responded = true;
+          clearTimeout(timeout);
+          if (message.ok) {
+            resolve({ result: message.result, close });
+          } else {
+            socket.destroy();
+            reject(new Error(message.error));
+          }
+        } else if (onEvent) {
+          onEvent(message);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Send a request to the daemon and wait for its result
+ * @param {string} command - Control command
+ * @param {Object} args - Command arguments
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<*>} Command result
+ * @throws {Error} With code DAEMON_NOT_RUNNING if no daemon is listening
+ */
+async function sendControlRequest(command, args = {}, options = {}) {
+  const { result, close } = await openControlRequest(command, args, options);
+  close();
+  return result;
+}
+
+/**
+ * Check whether a daemon is listening on the control socket
+ * @returns {Promise<boolean>} True if the daemon responds
+ */
+async function isDaemonRunning() {
+  try {
+    await sendControlRequest("status", {}, { timeoutMs: 2000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  CONTROL_SOCKET,
+  DAEMON_NOT_RUNNING,
+  startControlServer,
+  stopControlServer,
+  openControlRequest,
+  sendControlRequest,
+  isDaemonRunning,
+};
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getAllMappings,
+  getHttpPort,
+  getHttpsPort,
+  isHttpsEnabled,
+} = require("./config");
+const { getAllProjects } = require("./project-config");
+const { getServiceHostnames } = require("./services");
+
+// Written to the dev server's working directory with `writeEnvFile: true`
+const DISCOVERY_ENV_FILE = ".env.nextium";
+
+/**
+ * Get the URL a domain is served on by the proxy (https when enabled,
+ * with the proxy's port unless it is the default)
+ * @param {string} domain - Project, service or mapping domain
+ * @returns {string} URL
+ */
+function getPublicUrl(domain) {
+  const https = isHttpsEnabled();
+  const port = https ? getHttpsPort() : getHttpPort();
+  const defaultPort = https ? 443 : 80;
+  return `${https ? "https" : "http"}://${domain}${
+    port === defaultPort ? "" : `:${port}`
+  }`;
+}
+
+/**
+ * Get the variable name a domain's URL is exposed as:
+ * api.nextium.local -> NEXTIUM_URL_API,
+ * admin.shop.nextium.local -> NEXTIUM_URL_ADMIN_SHOP
+ * @param {string} domain - Domain
+ * @returns {string} Variable name
+ */
+function toUrlVariable(domain) {
+  const name = domain
+    .replace(/\.nextium\.local$/, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_");
+  return `NEXTIUM_URL_${name}`;
+}
+
+/**
+ * Build the service discovery variables for a project: its own domain and
+ * URL, and the URL of every other project, service subdomain and static
+ * mapping (when two domains map to the same variable name, the first in
+ * alphabetical order gets it and the other is left out with a warning)
+ * @param {Object} project - Project from registry (or a sub-service)
+ * @returns {Object} Variables keyed by name
+ */
+function getDiscoveryEnv(project) {
+  // A service without a subdomain is reached through its project
+  const own =
+    project.parent && !project.config.subdomain
+      ? project.parent
+      : project.config.domain;
+
+  const projects = getAllProjects();
+  const peers = new Set([
+    ...Object.keys(projects),
+    ...getServiceHostnames(projects),
+    ...Object.keys(getAllMappings()),
+  ]);
+  peers.delete(own);
+
+  const env = {
+    NEXTIUM_DOMAIN: own,
+    NEXTIUM_URL: getPublicUrl(own),
+  };
+  // admin-shop.* and admin.shop.* share a name: the first one keeps it
+  const owners = {};
+  for (const domain of [...peers].sort()) {
+    const name = toUrlVariable(domain);
+    if (owners[name]) {
+      console.warn(
+        `[Discovery] ${domain} has no ${name}: ${owners[name]} already uses that name`
+      );
+      continue;
+    }
+    owners[name] = domain;
+    env[name] = getPublicUrl(domain);
+  }
+  return env;
+}
+
+/**
+ * Write the discovery variables to .env.nextium in a directory. The daemon
+ * may run as root, so the file is opened without following symlinks, must
+ * be a regular file with no other links, and is handed to the user through
+ * its descriptor.
+ * @param {string} dir - Directory (the dev server's working directory)
+ * @param {Object} env - Result of getDiscoveryEnv
+ * @param {Object|null} user - User the dev server runs as (owns the file)
+ * @returns {string} Path of the file
+ * @throws {Error} If the file cannot be written, or is a link
+ */
+function writeDiscoveryEnvFile(dir, env, user = null) {
+  const file = path.join(dir, DISCOVERY_ENV_FILE);
+  const lines = Object.entries(env).map(([name, value]) => `${name}=${value}`);
+  const { O_WRONLY, O_CREAT, O_NOFOLLOW = 0 } = fs.constants;
+
+  let fd;
+  try {
+    fd = fs.openSync(file, O_WRONLY | O_CREAT | O_NOFOLLOW, 0o644);
+    const stat = fs.fstatSync(fd);
+    if (!stat.isFile() || stat.nlink > 1) {
+      throw new Error("not a regular file");
+    }
+    fs.ftruncateSync(fd, 0);
+    fs.writeSync(
+      fd,
+      [
+        "# Generated by Nextium on every start - do not edit",
+        ...lines,
+        "",
+      ].join("\n")
+    );
+    if (user) {
+      fs.fchownSync(fd, user.uid, user.gid);
+    }
+  } catch (error) {
+    throw new Error(
+      `Cannot write ${file}: ${
+        error.code === "ELOOP" ? "it is a symlink" : error.message
+      }`
+    );
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+  return file;
+}
+
+module.exports = {
+  DISCOVERY_ENV_FILE,
+  getPublicUrl,
+  toUrlVariable,
+  getDiscoveryEnv,
+  writeDiscoveryEnvFile,
+};
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const { readFileAs } = require("./run-as");
+
+// Valid environment variable names
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Parse the contents of a .env file. Supports comments, an optional
+ * "export" prefix, single quotes (literal), double quotes (with \n escapes
+ * and multiple lines) and trailing comments after unquoted values.
+ * @param {string} content - File contents
+ * @returns {Object} Variables keyed by name
+ */
+function parseEnvFile(content) {
+  const env = {};
+  const pattern =
+    /^[^\S\r\n]*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)[^\S\r\n]*=[^\S\r\n]*('[^']*'|"(?:\\.|[^"\\])*"|[^\r\n#]*)?[^\S\r\n]*(?:#.*)?$/gm;
+
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    const [, name, raw = ""] = match;
+    let value = raw.trim();
+
+    if (value.startsWith("'")) {
+      value = value.slice(1, -1);
+    } else if (value.startsWith('"')) {
+      value = value
+        .slice(1, -1)
+        .replace(/\\n/g, "\n")
+        .replace(/\\r/g, "\r")
+        .replace(/\\t/g, "\t")
+        .replace(/\\(["\\$])/g, "$1");
+    }
+
+    env[name] = value;
+  }
+
+  return env;
+}
+
+/**
+ * Read and parse a .env file. With a user, the file is read by a process
+ * running as that user, so a root daemon only passes on what the user
+ * could read anyway.
+ * @param {string} filePath - Absolute path to the file
+ * @param {Object|null} user - User to read it as (result of resolveRunAsUser)
+ * @returns {Object} Variables keyed by name
+ * @throws {Error} If the file cannot be read
+ */
+function readEnvFile(filePath, user = null) {
+  try {
+    return parseEnvFile(
+      user ? readFileAs(filePath, user) : fs.readFileSync(filePath, "utf8")
+    );
+  } catch (error) {
+    throw new Error(`Cannot read env file ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  ENV_NAME_PATTERN,
+  parseEnvFile,
+  readEnvFile,
+};
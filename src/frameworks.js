@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Port flags for Vite-based dev servers. Binding 127.0.0.1 explicitly keeps
+ * them reachable by the proxy when "localhost" resolves to ::1.
+ */
+function vitePortArgs(port) {
+  return ["--port", String(port), "--strictPort", "--host", "127.0.0.1"];
+}
+
+/**
+ * Check if a project has a Vite config, i.e. runs on Vite (Remix with the
+ * Vite plugin) rather than the framework's own compiler
+ */
+function hasViteConfig(projectPath) {
+  return ["js", "ts", "mjs", "mts", "cjs", "cts"].some((ext) =>
+    fs.existsSync(path.join(projectPath, `vite.config.${ext}`))
+  );
+}
+
+/**
+ * Framework presets, in detection order (most specific first).
+ *
+ * - detect: dependencies and/or config files that identify the framework
+ * - scripts: package.json scripts to run, in order of preference
+ * - exec: package binary to run when none of the scripts exist (or a
+ *   function of the project path returning it)
+ * - command: plain command to run instead (for frameworks without a CLI)
+ * - portArgs: flags passing the port, from (port, package.json, project
+ *   path); frameworks without them read PORT
+ * - readyPatterns: output that signals the dev server is ready
+ * - hmr: WebSocket paths and subprotocols used for hot reloading
+ * - watch: files the dev server does not reload by itself, so a change
+ *   restarts it (the lockfile is always watched)
+ */
+const FRAMEWORKS = {
+  next: {
+    name: "Next.js",
+    detect: {
+      dependencies: ["next"],
+      files: ["next.config.js", "next.config.mjs", "next.config.ts"],
+    },
+    scripts: ["dev", "start", "develop"],
+    exec: "next dev",
+    portArgs: null,
+    readyPatterns: [/ready on/i, /started server on/i, /ready in/i, /local:/i],
+    hmr: { paths: ["/_next/webpack-hmr"], protocols: [] },
+    watch: [
+      ".env",
+      ".env.local",
+      ".env.development",
+      ".env.development.local",
+      "next.config.*",
+      "package.json",
+    ],
+  },
+  nuxt: {
+    name: "Nuxt",
+    detect: {
+      dependencies: ["nuxt"],
+      files: ["nuxt.config.ts", "nuxt.config.js", "nuxt.config.mjs"],
+    },
+    scripts: ["dev"],
+    exec: "nuxi dev",
+    portArgs: (port) => ["--port", String(port), "--host", "127.0.0.1"],
+    readyPatterns: [/local:\s+http/i, /nitro .* built/i, /vite client built/i],
+    hmr: { paths: ["/_nuxt/"], protocols: ["vite-hmr"] },
+    watch: [".env", "package.json"],
+  },
+  remix: {
+    name: "Remix",
+    detect: {
+      dependencies: ["@remix-run/dev"],
+      files: ["remix.config.js", "remix.config.mjs"],
+    },
+    scripts: ["dev"],
+    // Classic `remix dev` serves the app on PORT; the Vite plugin takes flags
+    exec: (projectPath) =>
+      hasViteConfig(projectPath) ? "remix vite:dev" : "remix dev",
+    portArgs: (port, pkg, projectPath) =>
+      hasViteConfig(projectPath) ? vitePortArgs(port) : null,
+    readyPatterns: [/local:\s+http/i, /ready in/i, /app server started/i],
+    hmr: { paths: [], protocols: ["vite-hmr"] },
+    watch: [".env", "remix.config.*", "package.json"],
+  },
+  sveltekit: {
+    name: "SvelteKit",
+    detect: {
+      dependencies: ["@sveltejs/kit"],
+      files: ["svelte.config.js"],
+    },
+    scripts: ["dev"],
+    exec: "vite dev",
+    portArgs: vitePortArgs,
+    readyPatterns: [/local:\s+http/i, /ready in/i],
+    hmr: { paths: [], protocols: ["vite-hmr"] },
+    watch: ["svelte.config.js", "package.json"],
+  },
+  astro: {
+    name: "Astro",
+    detect: {
+      dependencies: ["astro"],
+      files: ["astro.config.mjs", "astro.config.ts", "astro.config.js"],
+    },
+    scripts: ["dev", "start"],
+    exec: "astro dev",
+    portArgs: (port) => ["--port", String(port), "--host", "127.0.0.1"],
+    readyPatterns: [/local\s+http/i, /ready in/i, /watching for file changes/i],
+    hmr: { paths: [], protocols: ["vite-hmr"] },
+    watch: ["package.json"],
+  },
+  vite: {
+    name: "Vite",
+    detect: {
+      dependencies: ["vite"],
+      files: ["vite.config.js", "vite.config.ts", "vite.config.mjs"],
+    },
+    scripts: ["dev", "start"],
+    exec: "vite",
+    portArgs: vitePortArgs,
+    readyPatterns: [/local:\s+http/i, /ready in/i],
+    hmr: { paths: [], protocols: ["vite-hmr"] },
+    watch: ["package.json"],
+  },
+  express: {
+    name: "Express",
+    detect: {
+      dependencies: ["express"],
+      files: [],
+    },
+    scripts: ["dev", "start"],
+    command: (pkg) => `node ${(pkg && pkg.main) || "index.js"}`,
+    portArgs: null,
+    readyPatterns: [/listening/i, /started on/i, /running on/i],
+    hmr: { paths: [], protocols: [] },
+    watch: [".env", ".env.local", "package.json"],
+  },
+};
+
+// Used for projects registered before framework detection existed
+const DEFAULT_FRAMEWORK = "next";
+
+/**
+ * Read a project's package.json
+ * @param {string} projectPath - Path to project
+ * @returns {Object|null} package.json contents or null
+ */
+function readPackageJson(projectPath) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(projectPath, "package.json"), "utf8")
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if package.json lists a dependency (dev or runtime)
+ */
+function hasDependency(pkg, name) {
+  if (!pkg) {
+    return false;
+  }
+  return (
+    name in (pkg.dependencies || {}) || name in (pkg.devDependencies || {})
+  );
+}
+
+/**
+ * Detect which framework a project uses
+ * @param {string} projectPath - Path to project
+ * @returns {string|null} Framework key or null if none matched
+ */
+function detectFramework(projectPath) {
+  const pkg = readPackageJson(projectPath);
+
+  for (const [key, framework] of Object.entries(FRAMEWORKS)) {
+    const { dependencies, files } = framework.detect;
+    if (
+      dependencies.some((name) => hasDependency(pkg, name)) ||
+      files.some((file) => fs.existsSync(path.join(projectPath, file)))
+    ) {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a framework preset
+ * @param {string} key - Framework key
+ * @returns {Object|null} Preset (with its key) or null if unknown
+ */
+function getFramework(key) {
+  return FRAMEWORKS[key] ? { key, ...FRAMEWORKS[key] } : null;
+}
+
+/**
+ * Resolve the framework preset for a project: the configured framework,
+ * else the detected one, else Next.js
+ * @param {string} projectPath - Path to project
+ * @param {Object} config - Project configuration
+ * @returns {Object} Framework preset
+ */
+function resolveFramework(projectPath, config = {}) {
+  return getFramework(
+    config.framework || detectFramework(projectPath) || DEFAULT_FRAMEWORK
+  );
+}
+
+/**
+ * Get the flags that pass the port to a framework's dev server
+ * @param {Object} framework - Framework preset
+ * @param {number} port - Allocated port
+ * @param {string} projectPath - Path to project
+ * @returns {Array<string>} Flags (empty when the framework reads PORT)
+ */
+function getPortArgs(framework, port, projectPath) {
+  if (!framework.portArgs) {
+    return [];
+  }
+  return (
+    framework.portArgs(port, readPackageJson(projectPath), projectPath) || []
+  );
+}
+
+/**
+ * Get the package binary a framework's dev server runs
+ * @param {Object} framework - Framework preset
+ * @param {string} projectPath - Path to project
+ * @returns {string} Binary with its arguments, e.g. "remix vite:dev"
+ */
+function getExecCommand(framework, projectPath) {
+  return typeof framework.exec === "function"
+    ? framework.exec(projectPath)
+    : framework.exec;
+}
+
+/**
+ * Check if a WebSocket upgrade is a framework's hot reload connection
+ * @param {Object} framework - Framework preset
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {boolean} True for HMR connections
+ */
+function isHmrRequest(framework, req) {
+  const pathname = (req.url || "").split("?")[0];
+  const protocols = (req.headers["sec-websocket-protocol"] || "")
+    .split(",")
+    .map((protocol) => protocol.trim());
+
+  return (
+    framework.hmr.paths.some((hmrPath) => pathname.startsWith(hmrPath)) ||
+    framework.hmr.protocols.some((protocol) => protocols.includes(protocol))
+  );
+}
+
+module.exports = {
+  FRAMEWORKS,
+  DEFAULT_FRAMEWORK,
+  detectFramework,
+  getFramework,
+  resolveFramework,
+  getPortArgs,
+  getExecCommand,
+  isHmrRequest,
+};
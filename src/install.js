@@ -0,0 +1,224 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { PACKAGE_MANAGERS } = require("./package-manager");
+const { splitCommand, killProcessTree } = require("./process-utils");
+const { getSpawnIdentity } = require("./run-as");
+
+// Output kept for error reports
+const OUTPUT_TAIL_BYTES = 16 * 1024;
+
+// Written after every successful install, for package managers that leave
+// no marker of their own
+const INSTALL_MARKER = path.join("node_modules", ".nextium-install");
+
+/**
+ * Get the modification time of a file, or 0 if it does not exist
+ */
+function getMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Check whether a project needs a dependency install before it starts:
+ * node_modules is missing, or the lockfile is newer than the last install
+ * @param {string} cwd - Project directory (with package.json)
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @returns {string|null} Why an install is needed, or null
+ */
+function getInstallReason(cwd, packageManager) {
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(cwd, "package.json"), "utf8"));
+  } catch (error) {
+    return null;
+  }
+  if (
+    Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }).length === 0
+  ) {
+    return null;
+  }
+
+  const markers = [
+    INSTALL_MARKER,
+    ...PACKAGE_MANAGERS[packageManager.name].installMarkers,
+  ];
+  const lockfileDir = packageManager.lockfile
+    ? path.dirname(packageManager.lockfile)
+    : cwd;
+  const installedAt = Math.max(
+    ...[cwd, lockfileDir].flatMap((dir) =>
+      markers.map((marker) => getMtime(path.join(dir, marker)))
+    )
+  );
+
+  if (
+    installedAt === 0 &&
+    !fs.existsSync(path.join(cwd, "node_modules")) &&
+    !fs.existsSync(path.join(lockfileDir, "node_modules"))
+  ) {
+    return "node_modules is missing";
+  }
+  if (
+    installedAt > 0 &&
+    packageManager.lockfile &&
+    getMtime(packageManager.lockfile) > installedAt
+  ) {
+    return `${path.basename(
+      packageManager.lockfile
+    )} changed since the last install`;
+  }
+  return null;
+}
+
+// Replaces the marker (a root-owned one from an older version included);
+// run as the user the install ran as
+const MARKER_WRITER = `
+const fs = require("fs");
+try { fs.unlinkSync(process.argv[1]); } catch (error) {}
+fs.writeFileSync(process.argv[1], process.argv[2]);
+`;
+
+/**
+ * Describe the state of a project's dependency manifests (package.json and
+ * the lockfile), to tell whether they changed since an install failed
+ * @param {string} cwd - Project directory (with package.json)
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @returns {string} Modification times of the manifests
+ */
+function getManifestStamp(cwd, packageManager) {
+  return [path.join(cwd, "package.json"), packageManager.lockfile]
+    .map((file) => (file ? getMtime(file) : 0))
+    .join(":");
+}
+
+/**
+ * Record a successful install. A daemon running as root writes the marker
+ * from a process running as the project's user, so the file is theirs and
+ * a symlink in node_modules cannot point it elsewhere.
+ * @param {string} cwd - Directory the install ran in
+ * @param {Object} options - { env, user } as for installDependencies
+ * @returns {Promise<void>} Resolves once written (or if it cannot be)
+ */
+function markInstalled(cwd, options = {}) {
+  const marker = path.join(cwd, INSTALL_MARKER);
+  const content = `${new Date().toISOString()}\n`;
+
+  return new Promise((resolve) => {
+    if (!options.user) {
+      try {
+        fs.writeFileSync(marker, content);
+      } catch (error) {
+        // No node_modules (e.g. Yarn Plug'n'Play) - its own marker is enough
+      }
+      resolve();
+      return;
+    }
+
+    const child = spawn(
+      process.execPath,
+      ["-e", MARKER_WRITER, marker, content],
+      {
+        cwd,
+        env: options.env || process.env,
+        ...getSpawnIdentity(options.user),
+        stdio: "ignore",
+      }
+    );
+    child.once("error", () => resolve());
+    child.once("close", () => resolve());
+  });
+}
+
+/**
+ * Get the command that installs dependencies with a package manager
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @returns {string} Install command
+ */
+function getInstallCommand(packageManager) {
+  const install = PACKAGE_MANAGERS[packageManager.name].install;
+  return packageManager.corepack ? `corepack ${install}` : install;
+}
+
+/**
+ * Install a project's dependencies with its package manager. The install
+ * runs in its own process group, so it can be stopped with everything it
+ * spawned.
+ * @param {string} cwd - Directory to install in
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @param {Object} options - { env, user, timeoutMs, onOutput(stream, chunk),
+ *   onSpawn(child) } (user: result of resolveRunAsUser; timeoutMs: 0 or
+ *   unset waits for as long as it takes)
+ * @returns {Promise<Object>} { command, output } once the install succeeded
+ * @throws {Error} If the install fails or times out; error.output holds
+ *   the output tail
+ */
+function installDependencies(cwd, packageManager, options = {}) {
+  const command = getInstallCommand(packageManager);
+  const [file, ...args] = splitCommand(command);
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    let timedOut = false;
+    const child = spawn(file, args, {
+      cwd,
+      env: options.env || process.env,
+      ...getSpawnIdentity(options.user),
+      stdio: ["ignore", "pipe", "pipe"],
+      detached: process.platform !== "win32",
+    });
+    if (options.onSpawn) {
+      options.onSpawn(child);
+    }
+
+    const timer = options.timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          killProcessTree(child.pid, 5000);
+        }, options.timeoutMs)
+      : null;
+
+    const onData = (stream) => (chunk) => {
+      output = (output + chunk.toString()).slice(-OUTPUT_TAIL_BYTES);
+      if (options.onOutput) {
+        options.onOutput(stream, chunk);
+      }
+    };
+    child.stdout.on("data", onData("stdout"));
+    child.stderr.on("data", onData("stderr"));
+
+    child.once("error", (error) => {
+      clearTimeout(timer);
+      const failure = new Error(`${command} failed: ${error.message}`);
+      failure.output = output;
+      reject(failure);
+    });
+    child.once("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0 && !timedOut) {
+        markInstalled(cwd, options).then(() => resolve({ command, output }));
+        return;
+      }
+      let reason = `exited with code ${code}`;
+      if (timedOut) {
+        reason = `timed out after ${Math.round(options.timeoutMs / 1000)}s`;
+      } else if (signal) {
+        reason = `was killed with ${signal}`;
+      }
+      const failure = new Error(`${command} ${reason}`);
+      failure.output = output;
+      reject(failure);
+    });
+  });
+}
+
+module.exports = {
+  getInstallReason,
+  getManifestStamp,
+  getInstallCommand,
+  installDependencies,
+};
@@ -0,0 +1,355 @@
+const fs = require("fs");
+const path = require("path");
+const { CONFIG_DIR } = require("./config");
+
+const LOGS_DIR = path.join(CONFIG_DIR, "logs");
+
+// Rotation limits per project
+const MAX_LOG_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_LOG_FILES = 3; // Current file plus rotated .1 and .2
+
+// Log streams
+const LOG_STREAM = {
+  STDOUT: "stdout",
+  STDERR: "stderr",
+  SYSTEM: "nextium", // Lifecycle messages written by Nextium itself
+};
+
+// Current log files open for writing, by domain (see acquireLogFile)
+const openLogFiles = new Map();
+
+// `<ISO timestamp> <stream> | <text>`
+const LINE_PATTERN = /^(\S+) (\w+) \| (.*)$/;
+
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Ensure logs directory exists
+ */
+function ensureLogsDir() {
+  if (!fs.existsSync(LOGS_DIR)) {
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Get the log file path for a project
+ * @param {string} domain - Project domain
+ * @param {number} index - Rotation index (0 = current file)
+ * @returns {string} Log file path
+ */
+function getLogFile(domain, index = 0) {
+  const file = path.join(LOGS_DIR, `${domain}.log`);
+  return index === 0 ? file : `${file}.${index}`;
+}
+
+/**
+ * Shift rotated log files and start a fresh current file
+ * @param {string} domain - Project domain
+ */
+function rotateLogs(domain) {
+  for (let i = MAX_LOG_FILES - 1; i > 0; i--) {
+    const from = getLogFile(domain, i - 1);
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, getLogFile(domain, i));
+    }
+  }
+}
+
+/**
+ * Open a project's current log file, or share the handle already open for
+ * it ({ fd, size, writers }), so a rotation by one writer moves every
+ * writer of the project on to the new file
+ * @param {string} domain - Project domain
+ * @returns {Object} Shared handle
+ */
+function acquireLogFile(domain) {
+  let handle = openLogFiles.get(domain);
+  if (!handle) {
+    const fd = fs.openSync(getLogFile(domain), "a");
+    handle = { fd, size: fs.fstatSync(fd).size, writers: 0 };
+    openLogFiles.set(domain, handle);
+  }
+  handle.writers++;
+  return handle;
+}
+
+/**
+ * Let go of a shared log file handle, closing it after its last writer
+ * @param {string} domain - Project domain
+ * @param {Object} handle - Result of acquireLogFile
+ */
+function releaseLogFile(domain, handle) {
+  handle.writers--;
+  if (handle.writers > 0) {
+    return;
+  }
+  openLogFiles.delete(domain);
+  try {
+    fs.closeSync(handle.fd);
+  } catch (error) {
+    // Ignore close errors
+  }
+}
+
+/**
+ * Create a line-buffered log writer for a project
+ * @param {string} domain - Project domain
+ * @returns {Object} Writer with write(stream, chunk), system(message) and close()
+ */
+function createLogWriter(domain) {
+  ensureLogsDir();
+
+  let handle = acquireLogFile(domain);
+  const partial = {};
+
+  const writeLine = (stream, text) => {
+    if (handle === null) {
+      return;
+    }
+
+    const line = `${new Date().toISOString()} ${stream} | ${text.replace(
+      ANSI_PATTERN,
+      ""
+    )}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    try {
+      if (handle.size > 0 && handle.size + bytes > MAX_LOG_SIZE) {
+        fs.closeSync(handle.fd);
+        rotateLogs(domain);
+        handle.fd = fs.openSync(getLogFile(domain), "a");
+        handle.size = 0;
+      }
+
+      fs.writeSync(handle.fd, line);
+      handle.size += bytes;
+    } catch (error) {
+      // Never let logging failures take down the process manager
+    }
+  };
+
+  return {
+    /**
+     * Write a chunk of process output, splitting it into lines
+     */
+    write(stream, chunk) {
+      const lines = ((partial[stream] || "") + chunk.toString()).split(/\r?\n/);
+      partial[stream] = lines.pop();
+      lines.forEach((line) => writeLine(stream, line));
+    },
+
+    /**
+     * Write a Nextium lifecycle message
+     */
+    system(message) {
+      writeLine(LOG_STREAM.SYSTEM, message);
+    },
+
+    /**
+     * Flush partial lines and close the file
+     */
+    close() {
+      for (const [stream, rest] of Object.entries(partial)) {
+        if (rest) {
+          writeLine(stream, rest);
+        }
+      }
+      if (handle !== null) {
+        releaseLogFile(domain, handle);
+        handle = null;
+      }
+    },
+  };
+}
+
+/**
+ * Parse a log line into an entry
+ * @param {string} line - Raw log line
+ * @returns {Object|null} Entry with time, stream and text, or null
+ */
+function parseLogLine(line) {
+  const match = LINE_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  return { time: match[1], stream: match[2], text: match[3] };
+}
+
+/**
+ * Parse a --since value (e.g. "10m", "2h", "30s", "1d" or a date)
+ * @param {string} value - Duration or date string
+ * @returns {Date} Point in time
+ * @throws {Error} If the value cannot be parsed
+ */
+function parseSince(value) {
+  const match = /^(\d+)\s*(s|m|h|d)$/i.exec(String(value).trim());
+  if (match) {
+    const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return new Date(
+      Date.now() - parseInt(match[1]) * units[match[2].toLowerCase()]
+    );
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(
+      `Invalid --since value: ${value} (use e.g. 30s, 10m, 2h, 1d or a date)`
+    );
+  }
+  return date;
+}
+
+/**
+ * Build an entry filter from log query options
+ * @param {Object} options - { since: Date, grep: string, stream: string }
+ * @returns {Function} Predicate for parsed entries
+ */
+function createLogFilter(options = {}) {
+  const since = options.since ? options.since.getTime() : null;
+  const grep = options.grep ? new RegExp(options.grep, "i") : null;
+
+  return (entry) => {
+    if (options.stream && entry.stream !== options.stream) {
+      return false;
+    }
+    if (since !== null && new Date(entry.time).getTime() < since) {
+      return false;
+    }
+    if (grep && !grep.test(entry.text)) {
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Read log entries for a project, oldest first
+ * @param {string} domain - Project domain
+ * @param {Object} options - { lines, since, grep, stream }
+ * @returns {Array<Object>} Matching entries (at most `lines`)
+ */
+function readLogs(domain, options = {}) {
+  const filter = createLogFilter(options);
+  const entries = [];
+
+  for (let i = MAX_LOG_FILES - 1; i >= 0; i--) {
+    const file = getLogFile(domain, i);
+    if (!fs.existsSync(file)) {
+      continue;
+    }
+
+    const content = fs.readFileSync(file, "utf8");
+    for (const line of content.split("\n")) {
+      const entry = parseLogLine(line);
+      if (entry && filter(entry)) {
+        entries.push(entry);
+      }
+    }
+  }
+
+  if (typeof options.lines === "number" && entries.length > options.lines) {
+    return entries.slice(entries.length - options.lines);
+  }
+  return entries;
+}
+
+/**
+ * Follow a project's log file, calling onEntry for each new entry
+ * @param {string} domain - Project domain
+ * @param {Object} options - { since, grep, stream }
+ * @param {Function} onEntry - Called with each parsed entry
+ * @returns {Function} Stop following
+ */
+function followLogs(domain, options, onEntry) {
+  ensureLogsDir();
+
+  const file = getLogFile(domain);
+  const filter = createLogFilter(options);
+  let offset = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  let partial = "";
+
+  const readNew = (curr) => {
+    // File was rotated or truncated - start from the beginning
+    if (curr.size < offset) {
+      offset = 0;
+      partial = "";
+    }
+    if (curr.size === offset) {
+      return;
+    }
+
+    const fd = fs.openSync(file, "r");
+    const buffer = Buffer.alloc(curr.size - offset);
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    fs.closeSync(fd);
+    offset = curr.size;
+
+    const lines = (partial + buffer.toString("utf8")).split("\n");
+    partial = lines.pop();
+    for (const line of lines) {
+      const entry = parseLogLine(line);
+      if (entry && filter(entry)) {
+        onEntry(entry);
+      }
+    }
+  };
+
+  fs.watchFile(file, { interval: 500 }, (curr) => {
+    try {
+      readNew(curr);
+    } catch (error) {
+      // File may be mid-rotation; pick it up on the next tick
+    }
+  });
+
+  return () => fs.unwatchFile(file);
+}
+
+/**
+ * Read the log entries of several projects (e.g. a project and its
+ * sub-services) interleaved by time, each tagged with its domain
+ * @param {Array<string>} domains - Project domains
+ * @param {Object} options - { lines, since, grep, stream }
+ * @returns {Array<Object>} Matching entries (at most `lines`)
+ */
+function readMergedLogs(domains, options = {}) {
+  const entries = domains
+    .flatMap((domain) =>
+      readLogs(domain, options).map((entry) => ({ ...entry, domain }))
+    )
+    .sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+
+  if (typeof options.lines === "number" && entries.length > options.lines) {
+    return entries.slice(entries.length - options.lines);
+  }
+  return entries;
+}
+
+/**
+ * Follow the log files of several projects, calling onEntry with each new
+ * entry tagged with its domain
+ * @param {Array<string>} domains - Project domains
+ * @param {Object} options - { since, grep, stream }
+ * @param {Function} onEntry - Called with each parsed entry
+ * @returns {Function} Stop following
+ */
+function followMergedLogs(domains, options, onEntry) {
+  const stops = domains.map((domain) =>
+    followLogs(domain, options, (entry) => onEntry({ ...entry, domain }))
+  );
+  return () => stops.forEach((stop) => stop());
+}
+
+module.exports = {
+  LOGS_DIR,
+  LOG_STREAM,
+  getLogFile,
+  createLogWriter,
+  parseSince,
+  readLogs,
+  followLogs,
+  readMergedLogs,
+  followMergedLogs,
+};
@@ -0,0 +1,338 @@
+const fs = require("fs");
+const path = require("path");
+const { USER_HOME } = require("./config");
+
+// Codenames accepted in .nvmrc as "lts/<name>"
+const LTS_CODENAMES = {
+  argon: 4,
+  boron: 6,
+  carbon: 8,
+  dubnium: 10,
+  erbium: 12,
+  fermium: 14,
+  gallium: 16,
+  hydrogen: 18,
+  iron: 20,
+  jod: 22,
+  krypton: 24,
+};
+
+/**
+ * Parse a version ("v20.11.1", "20.11", "20") into numbers; missing parts
+ * are null
+ */
+function parseVersion(version) {
+  const match = String(version)
+    .trim()
+    .match(/^v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?/i);
+  if (!match) {
+    return null;
+  }
+  return match
+    .slice(1, 4)
+    .map((part) =>
+      part === undefined || /^(x|\*)$/i.test(part) ? null : Number(part)
+    );
+}
+
+/**
+ * Compare two full versions ([major, minor, patch])
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check a full version against one comparator ("^20.1", ">=18", "20.x")
+ */
+function satisfiesComparator(version, comparator) {
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*(.+)$/);
+  if (!match) {
+    return false;
+  }
+
+  const [, operator = "", rest] = match;
+  const parts = parseVersion(rest);
+  if (!parts) {
+    return false;
+  }
+  const [major, minor, patch] = parts;
+  const floor = [major, minor || 0, patch || 0];
+
+  switch (operator) {
+    case ">=":
+      return compareVersions(version, floor) >= 0;
+    case ">":
+      // ">20" means above every 20.x
+      return (
+        compareVersions(version, [
+          major,
+          minor === null ? Infinity : minor,
+          patch === null ? Infinity : patch,
+        ]) > 0
+      );
+    case "<":
+      return compareVersions(version, floor) < 0;
+    case "<=":
+      return (
+        compareVersions(version, [
+          major,
+          minor === null ? Infinity : minor,
+          patch === null ? Infinity : patch,
+        ]) <= 0
+      );
+    case "^":
+      return version[0] === major && compareVersions(version, floor) >= 0;
+    case "~":
+      return (
+        version[0] === major &&
+        (minor === null || version[1] === minor) &&
+        compareVersions(version, floor) >= 0
+      );
+    default:
+      // Exact or partial ("20", "20.11", "20.x")
+      return parts.every((part, i) => part === null || version[i] === part);
+  }
+}
+
+/**
+ * Check a full version against a semver range ("^18 || >=20.5 <22",
+ * "18 - 20", "lts/*" is handled by the caller)
+ * @param {Array<number>} version - [major, minor, patch]
+ * @param {string} range - Range
+ * @returns {boolean} True if the version is in the range
+ */
+function satisfiesRange(version, range) {
+  return range.split("||").some((set) => {
+    const hyphen = set.match(/^\s*(\S+)\s+-\s+(\S+)\s*$/);
+    if (hyphen) {
+      return (
+        satisfiesComparator(version, `>=${hyphen[1]}`) &&
+        satisfiesComparator(version, `<=${hyphen[2]}`)
+      );
+    }
+
+    const comparators = set
+      .trim()
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1")
+      .split(/\s+/)
+      .filter(Boolean);
+    return (
+      comparators.length === 0 ||
+      comparators.every((comparator) =>
+        satisfiesComparator(version, comparator)
+      )
+    );
+  });
+}
+
+/**
+ * Find a file in a directory or any of its parents
+ */
+function findUp(startDir, fileName) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const filePath = path.join(dir, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Get the Node.js version a project asks for: the config's `node` field,
+ * else .nvmrc, else .node-version (nearest, looking up), else engines.node
+ * @param {string} cwd - Directory the dev server runs in
+ * @param {Object} config - Project configuration
+ * @param {Object|null} pkg - Parsed package.json
+ * @returns {Object|null} { spec, source } or null if none is requested
+ */
+function getRequestedNodeVersion(cwd, config = {}, pkg = null) {
+  if (config.node) {
+    return { spec: String(config.node).trim(), source: "nextium.config.js" };
+  }
+
+  for (const fileName of [".nvmrc", ".node-version"]) {
+    const filePath = findUp(cwd, fileName);
+    if (filePath) {
+      const spec = fs
+        .readFileSync(filePath, "utf8")
+        .split("\n")
+        .map((line) => line.replace(/#.*/, "").trim())
+        .find(Boolean);
+      if (spec) {
+        return { spec, source: fileName };
+      }
+    }
+  }
+
+  if (pkg && pkg.engines && pkg.engines.node) {
+    return { spec: String(pkg.engines.node).trim(), source: "engines.node" };
+  }
+
+  return null;
+}
+
+/**
+ * List the Node.js installations of nvm, fnm, Volta and asdf, plus the one
+ * running Nextium
+ * @param {string} home - Home directory the version managers live in
+ * @returns {Array<Object>} { version: [major, minor, patch], binDir, manager }
+ */
+function findInstalledNodeVersions(home = USER_HOME) {
+  const roots = [
+    {
+      manager: "nvm",
+      dir: path.join(
+        process.env.NVM_DIR || path.join(home, ".nvm"),
+        "versions",
+        "node"
+      ),
+      bin: "bin",
+    },
+    ...[
+      process.env.FNM_DIR,
+      path.join(home, ".local", "share", "fnm"),
+      path.join(home, ".fnm"),
+      path.join(home, "Library", "Application Support", "fnm"),
+    ]
+      .filter(Boolean)
+      .map((dir) => ({
+        manager: "fnm",
+        dir: path.join(dir, "node-versions"),
+        bin: path.join("installation", "bin"),
+      })),
+    {
+      manager: "volta",
+      dir: path.join(
+        process.env.VOLTA_HOME || path.join(home, ".volta"),
+        "tools",
+        "image",
+        "node"
+      ),
+      bin: "bin",
+    },
+    {
+      manager: "asdf",
+      dir: path.join(
+        process.env.ASDF_DATA_DIR || path.join(home, ".asdf"),
+        "installs",
+        "nodejs"
+      ),
+      bin: "bin",
+    },
+  ];
+
+  const installed = [];
+  for (const root of roots) {
+    let entries;
+    try {
+      entries = fs.readdirSync(root.dir);
+    } catch (error) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const version = parseVersion(entry);
+      const binDir = path.join(root.dir, entry, root.bin);
+      if (
+        version &&
+        version.every((part) => part !== null) &&
+        fs.existsSync(path.join(binDir, "node"))
+      ) {
+        installed.push({ version, binDir, manager: root.manager });
+      }
+    }
+  }
+
+  installed.push({
+    version: parseVersion(process.version),
+    binDir: path.dirname(process.execPath),
+    manager: "system",
+  });
+  return installed;
+}
+
+/**
+ * Check an installed version against a requested spec (a version, range,
+ * "node"/"stable"/"latest" or an "lts/..." alias)
+ */
+function matchesSpec(version, spec) {
+  const normalized = spec.trim().toLowerCase();
+
+  if (["node", "stable", "latest", "current", "*"].includes(normalized)) {
+    return true;
+  }
+  if (normalized.startsWith("lts/")) {
+    const name = normalized.slice(4);
+    if (name === "*" || name === "latest") {
+      // LTS lines are the even majors
+      return version[0] % 2 === 0;
+    }
+    return LTS_CODENAMES[name] === version[0];
+  }
+  return satisfiesRange(version, normalized.replace(/^node\//, ""));
+}
+
+/**
+ * Resolve the Node.js a project runs on
+ * @param {string} cwd - Directory the dev server runs in
+ * @param {Object} config - Project configuration
+ * @param {Object|null} pkg - Parsed package.json
+ * @param {string} home - Home directory of the user it runs as
+ * @returns {Object|null} null if no version is requested, else { spec,
+ *   source, version, binDir, manager } when an installed Node matches, or
+ *   { spec, source, warning } when none does
+ */
+function resolveNodeVersion(cwd, config = {}, pkg = null, home = USER_HOME) {
+  const requested = getRequestedNodeVersion(cwd, config, pkg);
+  if (!requested) {
+    return null;
+  }
+
+  const installed = findInstalledNodeVersions(home);
+  const matches = installed
+    .filter((node) => matchesSpec(node.version, requested.spec))
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+  if (matches.length === 0) {
+    const available = [
+      ...new Set(installed.map((node) => `v${node.version.join(".")}`)),
+    ];
+    return {
+      ...requested,
+      warning: `Node ${requested.spec} (from ${
+        requested.source
+      }) is not installed - using the default node. Installed: ${available.join(
+        ", "
+      )}`,
+    };
+  }
+
+  // The Node running Nextium if it fits (ranges like ">=18" should not
+  // switch versions), else the newest installed match
+  const best = matches.find((node) => node.manager === "system") || matches[0];
+  return {
+    ...requested,
+    version: `v${best.version.join(".")}`,
+    binDir: best.binDir,
+    manager: best.manager,
+  };
+}
+
+module.exports = {
+  getRequestedNodeVersion,
+  findInstalledNodeVersions,
+  resolveNodeVersion,
+  satisfiesRange,
+};
@@ -0,0 +1,220 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Supported package managers, in lockfile detection order.
+ *
+ * - lockfiles: files that identify the package manager
+ * - run: how to run a package.json script
+ * - separator: placed between the script and its flags (npm needs "--")
+ * - exec: how to run a binary from node_modules
+ * - install: how to install dependencies
+ * - installMarkers: files the install writes, relative to the project
+ * - corepack: whether Corepack can provide it
+ */
+const PACKAGE_MANAGERS = {
+  bun: {
+    lockfiles: ["bun.lockb", "bun.lock"],
+    run: "bun run",
+    separator: null,
+    exec: "bunx",
+    install: "bun install",
+    installMarkers: [],
+    corepack: false,
+  },
+  pnpm: {
+    lockfiles: ["pnpm-lock.yaml"],
+    run: "pnpm run",
+    separator: null,
+    exec: "pnpm exec",
+    install: "pnpm install",
+    installMarkers: ["node_modules/.modules.yaml"],
+    corepack: true,
+  },
+  yarn: {
+    lockfiles: ["yarn.lock"],
+    run: "yarn run",
+    separator: null,
+    exec: "yarn",
+    install: "yarn install",
+    installMarkers: [
+      "node_modules/.yarn-integrity",
+      "node_modules/.yarn-state.yml",
+      ".pnp.cjs",
+    ],
+    corepack: true,
+  },
+  npm: {
+    lockfiles: ["package-lock.json", "npm-shrinkwrap.json"],
+    run: "npm run",
+    separator: "--",
+    exec: "npx",
+    install: "npm install",
+    installMarkers: ["node_modules/.package-lock.json"],
+    corepack: true,
+  },
+};
+
+const DEFAULT_PACKAGE_MANAGER = "npm";
+
+/**
+ * Parse the package.json "packageManager" field (Corepack), e.g.
+ * "pnpm@8.15.4+sha256.abc"
+ * @param {string} value - Field value
+ * @returns {Object|null} { name, version } or null if unsupported
+ */
+function parsePackageManagerField(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const match = value.match(/^(@?[^@]+)@([^+]+)/);
+  if (!match || !PACKAGE_MANAGERS[match[1]]) {
+    return null;
+  }
+  return { name: match[1], version: match[2] };
+}
+
+/**
+ * Find the lockfile closest to a project, walking up to the filesystem
+ * root so workspace packages use their monorepo's package manager
+ * @param {string} projectPath - Path to project
+ * @returns {Object|null} { name, lockfile } or null if none found
+ */
+function findLockfile(projectPath) {
+  let dir = path.resolve(projectPath);
+
+  for (;;) {
+    for (const [name, manager] of Object.entries(PACKAGE_MANAGERS)) {
+      for (const lockfile of manager.lockfiles) {
+        const lockfilePath = path.join(dir, lockfile);
+        if (fs.existsSync(lockfilePath)) {
+          return { name, lockfile: lockfilePath };
+        }
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Check if an executable is on the PATH
+ * @param {string} name - Executable name
+ * @param {string} searchPath - PATH to search (defaults to process.env.PATH)
+ * @returns {boolean} True if found
+ */
+function isOnPath(name, searchPath = process.env.PATH || "") {
+  const extensions =
+    process.platform === "win32"
+      ? (process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";")
+      : [""];
+
+  return searchPath
+    .split(path.delimiter)
+    .filter(Boolean)
+    .some((dir) =>
+      extensions.some((extension) => {
+        try {
+          fs.accessSync(path.join(dir, name + extension), fs.constants.X_OK);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      })
+    );
+}
+
+/**
+ * Detect a project's package manager. An explicit override wins, then the
+ * package.json "packageManager" field, then the nearest lockfile, then npm.
+ * @param {string} projectPath - Path to project
+ * @param {Object} options - { override, pkg } (pkg: parsed package.json)
+ * @returns {Object} { name, version, source, lockfile, corepack }
+ */
+function detectPackageManager(projectPath, options = {}) {
+  const { override, pkg } = options;
+  const lock = findLockfile(projectPath);
+  const field = parsePackageManagerField(pkg && pkg.packageManager);
+
+  let result;
+  if (override) {
+    result = { name: override, version: null, source: "config" };
+  } else if (field) {
+    result = { ...field, source: "packageManager" };
+  } else if (lock) {
+    result = { name: lock.name, version: null, source: "lockfile" };
+  } else {
+    result = {
+      name: DEFAULT_PACKAGE_MANAGER,
+      version: null,
+      source: "default",
+    };
+  }
+
+  result.lockfile = lock && lock.name === result.name ? lock.lockfile : null;
+  // Corepack provides package managers that are not installed globally
+  // (and the version pinned in "packageManager")
+  result.corepack =
+    PACKAGE_MANAGERS[result.name].corepack &&
+    !isOnPath(result.name) &&
+    isOnPath("corepack");
+  return result;
+}
+
+/**
+ * Prefix a package manager invocation with "corepack" when needed
+ */
+function withCorepack(packageManager, command) {
+  return packageManager.corepack ? `corepack ${command}` : command;
+}
+
+/**
+ * Build the command that runs a package.json script
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @param {string} script - Script name
+ * @param {Array<string>} flags - Flags passed through to the script
+ * @returns {string} Complete command
+ */
+function buildRunCommand(packageManager, script, flags = []) {
+  const manager = PACKAGE_MANAGERS[packageManager.name];
+  const parts = [withCorepack(packageManager, manager.run), script];
+
+  if (flags && flags.length > 0) {
+    if (manager.separator) {
+      parts.push(manager.separator);
+    }
+    parts.push(...flags);
+  }
+
+  return parts.join(" ");
+}
+
+/**
+ * Build the command that runs a binary installed in node_modules
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @param {string} binary - Binary and its arguments (e.g. "vite dev")
+ * @param {Array<string>} flags - Additional flags
+ * @returns {string} Complete command
+ */
+function buildExecCommand(packageManager, binary, flags = []) {
+  const manager = PACKAGE_MANAGERS[packageManager.name];
+  return [
+    withCorepack(packageManager, manager.exec),
+    binary,
+    ...(flags || []),
+  ].join(" ");
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  DEFAULT_PACKAGE_MANAGER,
+  parsePackageManagerField,
+  detectPackageManager,
+  buildRunCommand,
+  buildExecCommand,
+};
@@ -0,0 +1,150 @@
+const { getAllMappings, getPortRange } = require("./config");
+const {
+  getProject,
+  getAllProjects,
+  loadProjectsRegistry,
+  saveProjectsRegistry,
+} = require("./project-config");
+const { getProjectServices, toServiceProject } = require("./services");
+
+// How a port is claimed
+const PORT_KIND = {
+  FIXED: "fixed", // `port: 3000` in nextium.config.js
+  STICKY: "sticky", // Assigned once to a `port: "auto"` project and kept
+  MAPPING: "mapping", // Static mapping (nextium add)
+};
+
+/**
+ * Get the port a project is meant to run on: its fixed port, or the sticky
+ * port it was assigned
+ * @param {Object} project - Project from registry
+ * @returns {number|null} Port, or null if none is assigned yet
+ */
+function getProjectPort(project) {
+  if (project.config && typeof project.config.port === "number") {
+    return project.config.port;
+  }
+  return project.assignedPort || null;
+}
+
+/**
+ * List a project with its sub-services, as { domain, project } pairs
+ */
+function withServices(domain, project) {
+  let services = [];
+  try {
+    services = getProjectServices(project);
+  } catch (error) {
+    // Unreadable Procfile - its services claim nothing
+  }
+  return [
+    { domain, project },
+    ...services.map((service) => ({
+      domain: service.key,
+      project: toServiceProject(domain, project, service),
+    })),
+  ];
+}
+
+/**
+ * List every port claimed by a project, a sub-service or a static mapping
+ * @returns {Array<Object>} { port, owner, kind } (owner: domain or service
+ *   key)
+ */
+function getPortClaims() {
+  const claims = [];
+
+  for (const [parent, entry] of Object.entries(getAllProjects())) {
+    for (const { domain, project } of withServices(parent, entry)) {
+      const port = getProjectPort(project);
+      if (port) {
+        claims.push({
+          port,
+          owner: domain,
+          kind:
+            typeof project.config.port === "number"
+              ? PORT_KIND.FIXED
+              : PORT_KIND.STICKY,
+        });
+      }
+    }
+  }
+
+  // Nextium projects are also mapped, to port 0, for the hosts file
+  for (const [domain, port] of Object.entries(getAllMappings())) {
+    if (port > 0) {
+      claims.push({ port, owner: domain, kind: PORT_KIND.MAPPING });
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Find the other projects and mappings that claim a port
+ * @param {string} owner - Domain asking for the port
+ * @param {number} port - Port
+ * @returns {Array<Object>} Conflicting claims ({ port, owner, kind })
+ */
+function findPortConflicts(owner, port) {
+  return getPortClaims().filter(
+    (claim) => claim.port === port && claim.owner !== owner
+  );
+}
+
+/**
+ * Get a project's port, assigning and persisting a sticky port from the
+ * configured range for `port: "auto"` projects that have none (or whose
+ * port left the range or was claimed by someone else meanwhile). A
+ * sub-service's sticky port is kept on its project's registry entry.
+ * @param {string} domain - Project domain or service key
+ * @returns {number|null} Port (null for a sub-service without one)
+ * @throws {Error} If the project is not registered or the range is full
+ */
+function assignProjectPort(domain) {
+  const project = getProject(domain);
+  if (!project) {
+    throw new Error(`Project ${domain} is not registered`);
+  }
+  if (typeof project.config.port === "number" || project.config.port === null) {
+    return project.config.port;
+  }
+
+  const { start, end } = getPortRange();
+  const taken = new Set(
+    getPortClaims()
+      .filter((claim) => claim.owner !== domain)
+      .map((claim) => claim.port)
+  );
+
+  const current = project.assignedPort;
+  if (current && current >= start && current <= end && !taken.has(current)) {
+    return current;
+  }
+
+  for (let port = start; port <= end; port++) {
+    if (!taken.has(port)) {
+      const registry = loadProjectsRegistry();
+      if (project.parent) {
+        const entry = registry.projects[project.parent];
+        entry.servicePorts = { ...entry.servicePorts, [project.service]: port };
+      } else {
+        registry.projects[domain].assignedPort = port;
+      }
+      saveProjectsRegistry(registry);
+      return port;
+    }
+  }
+
+  throw new Error(
+    `No unassigned ports left in the range ${start}-${end} (set portRange in ~/.nextium/config.json)`
+  );
+}
+
+module.exports = {
+  PORT_KIND,
+  getProjectPort,
+  getPortClaims,
+  findPortConflicts,
+  assignProjectPort,
+};
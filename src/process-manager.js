@@ -1,15 +1,117 @@
 const { spawn } = require("child_process");
+const { EventEmitter } = require("events");
 const fs = require("fs");
 const path = require("path");
 const net = require("net");
-const { CONFIG_DIR } = require("./config");
-const { getProject, detectDevCommand } = require("./project-config");
+const { CONFIG_DIR, getPortRange, getResourceLimits } = require("./config");
+const {
+  getProject,
+  getRestartConfig,
+  getColdStartConfig,
+  getProjectCwd,
+  getPackageJson,
+  detectDevCommand,
+} = require("./project-config");
+const { waitForReady } = require("./readiness");
+const { getPortClaims, assignProjectPort } = require("./ports");
+const { resolveFramework, getPortArgs } = require("./frameworks");
+const {
+  getProcfileMainCommand,
+  getProjectServices,
+  getUnitDomains,
+} = require("./services");
+const { readEnvFile } = require("./env-file");
+const { getDiscoveryEnv, writeDiscoveryEnvFile } = require("./discovery");
+const { resolveNodeVersion } = require("./node-version");
+const {
+  resolveRunAsUser,
+  applyUserEnv,
+  getSpawnIdentity,
+} = require("./run-as");
+const { detectPackageManager } = require("./package-manager");
+const {
+  getInstallReason,
+  getManifestStamp,
+  getInstallCommand,
+  installDependencies,
+} = require("./install");
+const { createLogWriter, LOG_STREAM } = require("./logs");
+const {
+  STARTUP_PHASE,
+  beginStartup,
+  setStartupPhase,
+  recordStartupOutput,
+  recordStartupExit,
+  failStartup,
+} = require("./startup-progress");
+const {
+  isProcessAlive,
+  getProcessCommand,
+  getProcessCwd,
+  splitCommand,
+  quoteShellArg,
+  commandMatches,
+  getParentPids,
+  getDescendantPids,
+  getProcessTreeUsage,
+  getPortListeners,
+  killProcessTree,
+  isPathInside,
+  isInsideProject,
+} = require("./process-utils");
 
 const PROCESSES_FILE = path.join(CONFIG_DIR, "processes.json");
 
 // In-memory process tracking
 const runningProcesses = new Map();
 
+// Lifecycle events for consumers in the same process (e.g. the proxy):
+// "ready" (domain, processInfo) once a server serves, "exit" (domain, exit)
+const processEvents = new EventEmitter();
+
+// In-flight starts and stops, so concurrent callers share a single one
+const pendingStarts = new Map();
+const pendingStops = new Map();
+
+// Managed starts that passed the resource limits but are not running yet,
+// so concurrent cold starts count each other
+const reservedStarts = new Set();
+
+// Consecutive crashes per domain ({ count, lastExit }), kept across restarts
+const crashHistory = new Map();
+
+// Dependency installs in progress per domain (their ChildProcess), so
+// stopping the project or the daemon stops them too
+const runningInstalls = new Map();
+
+// Failed dependency installs per domain ({ stamp, error }): the error is
+// reused instead of installing again until package.json or the lockfile
+// changes, or the project is started or restarted by hand
+const installFailures = new Map();
+
+// Crash restarts waiting out their backoff, keyed by domain
+const scheduledRestarts = new Map();
+
+// A server that stayed up this long before crashing starts a fresh count
+const CRASH_RESET_MS = 60000;
+
+// Starts per domain since the daemon started (restarts = starts - 1)
+const startCounts = new Map();
+
+// Proxied requests per domain as [second, count] buckets, for the rate
+const requestBuckets = new Map();
+const REQUEST_WINDOW_SECONDS = 60;
+
+// Latest resource sample per domain ({ pid, at, cpuByPid, cpuPercent,
+// rss }), taken on the daemon's own timer so every client sees the same
+// interval. The timer only runs while clients ask for stats (ps, top),
+// and stops STATS_IDLE_MS after the last request.
+const cpuSamples = new Map();
+const STATS_SAMPLE_MS = 2000;
+const STATS_IDLE_MS = 30000;
+let statsTimer = null;
+let statsRequestedAt = 0;
+
 // Process states
 const PROCESS_STATE = {
   STARTING: "starting",
@@ -17,6 +119,8 @@ const PROCESS_STATE = {
   STOPPING: "stopping",
   STOPPED: "stopped",
   MANUAL: "manual", // Manual mode (via `nextium dev`)
+  BACKOFF: "backoff", // Crashed, waiting to be restarted
+  CRASHED: "crashed", // Crashed too often, not restarted automatically
 };
 
 /**
@@ -89,11 +193,16 @@ function isPortAvailable(port) {
  * Find an available port in the given range
  * @param {number} startPort - Start of port range
  * @param {number} endPort - End of port range
+ * @param {Set<number>} exclude - Ports to skip (e.g. claimed by projects)
  * @returns {Promise<number|null>} Available port or null
  */
-async function findAvailablePort(startPort = 3000, endPort = 3999) {
+async function findAvailablePort(
+  startPort = 3000,
+  endPort = 3999,
+  exclude = new Set()
+) {
   for (let port = startPort; port <= endPort; port++) {
-    if (await isPortAvailable(port)) {
+    if (!exclude.has(port) && (await isPortAvailable(port))) {
       return port;
     }
   }
@@ -101,172 +210,502 @@ async function findAvailablePort(startPort = 3000, endPort = 3999) {
 }
 
 /**
- * Allocate a port for a project
+ * Describe the processes listening on a port, for error messages
+ * @param {number} port - Port
+ * @returns {string} " by PID 123 (command)", or "" if unknown
+ */
+function describePortHolders(port) {
+  const holders = getPortListeners(port).map(
+    (pid) => `PID ${pid} (${getProcessCommand(pid) || "unknown"})`
+  );
+  return holders.length > 0 ? ` by ${holders.join(", ")}` : "";
+}
+
+/**
+ * Allocate a port for a project. "auto" projects get their sticky port; if
+ * something outside Nextium holds it, a free unclaimed port from the range
+ * is used for this run only.
+ * @param {string} domain - Project domain
  * @param {Object} config - Project configuration
- * @returns {Promise<number>} Allocated port
+ * @returns {Promise<number|null>} Allocated port (null for a sub-service
+ *   without one)
  */
-async function allocatePort(config) {
+async function allocatePort(domain, config) {
+  if (config.port === null) {
+    return null;
+  }
+
   if (config.port === "auto") {
-    const port = await findAvailablePort();
+    const sticky = assignProjectPort(domain);
+    if (await isPortAvailable(sticky)) {
+      return sticky;
+    }
+
+    const { start, end } = getPortRange();
+    const claimed = new Set(getPortClaims().map((claim) => claim.port));
+    const port = await findAvailablePort(start, end, claimed);
     if (!port) {
-      throw new Error("No available ports in range 3000-3999");
+      throw new Error(
+        `Port ${sticky} is already in use and no other ports are available in range ${start}-${end}`
+      );
     }
+
+    const message = `Port ${sticky} is already in use${describePortHolders(
+      sticky
+    )} - using port ${port} for this run`;
+    console.warn(`[Process Manager] ${domain}: ${message}`);
+    const logWriter = createLogWriter(domain);
+    logWriter.system(message);
+    logWriter.close();
     return port;
   }
 
   // Check if specified port is available
   if (!(await isPortAvailable(config.port))) {
-    throw new Error(`Port ${config.port} is already in use`);
+    throw new Error(
+      `Port ${config.port} is already in use${describePortHolders(config.port)}`
+    );
   }
 
   return config.port;
 }
 
 /**
- * Detect when a dev server is ready
- * @param {Object} childProcess - Child process object
- * @param {number} timeoutMs - Timeout in milliseconds
- * @param {boolean} streamLogs - Whether logs are being streamed (stdio: inherit)
- * @returns {Promise<void>}
+ * Record that a process has exited and drop it from tracking after a delay
+ * @param {string} domain - Project domain
+ * @param {Object} processInfo - Entry for the process that exited
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Exit signal
  */
-function waitForReady(childProcess, timeoutMs = 30000, streamLogs = false) {
-  return new Promise((resolve, reject) => {
-    // If streaming logs, we can't detect ready state from output
-    // So we just wait a bit and hope for the best
-    if (streamLogs) {
-      if (!childProcess) {
-        reject(new Error("childProcess is null"));
-        return;
-      }
+function markProcessExited(domain, processInfo, code, signal) {
+  // A managed server that exits while running (not being stopped) crashed
+  const crashed =
+    processInfo.state === PROCESS_STATE.RUNNING &&
+    processInfo.mode === "managed";
 
-      // Check if process already exited
-      if (childProcess.killed || childProcess.exitCode !== null) {
-        reject(
-          new Error(`Process already exited with code ${childProcess.exitCode}`)
-        );
-        return;
-      }
+  processInfo.state = PROCESS_STATE.STOPPED;
+  processInfo.exitCode = code;
+  processInfo.exitSignal = signal;
+  processInfo.stoppedAt = new Date().toISOString();
+
+  processEvents.emit("exit", domain, { code, signal });
+
+  if (crashed && handleCrash(domain, processInfo, code, signal)) {
+    return;
+  }
 
-      const timeout = setTimeout(() => {
-        // Check if process is still running before resolving
+  // Remove from tracking after a delay, unless it was replaced meanwhile
+  setTimeout(() => {
+    if (runningProcesses.get(domain) === processInfo) {
+      runningProcesses.delete(domain);
+    }
+    updatePersistedProcesses();
+  }, 5000);
+}
+
+/**
+ * Apply the project's restart policy to a managed dev server that exited on
+ * its own or failed to start: schedule a restart with exponential backoff,
+ * or mark the project crashed once it runs out of retries
+ * @param {string} domain - Project domain
+ * @param {Object} previous - Entry of the process that exited
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Exit signal
+ * @returns {Object|null} The backoff or crashed entry, or null for a clean
+ *   exit that is not restarted
+ */
+function handleCrash(domain, previous, code, signal) {
+  const project = getProject(domain);
+  const restart = getRestartConfig(project && project.config);
+  const failed = code !== 0;
+  const retry =
+    !!project &&
+    (restart.policy === "always" ||
+      (restart.policy === "on-failure" && failed));
+
+  // Exiting cleanly is not a crash when the policy doesn't restart it
+  if (!retry && !failed) {
+    return null;
+  }
+
+  const now = Date.now();
+  let history = crashHistory.get(domain);
+  const stable =
+    previous.readyAt &&
+    now - new Date(previous.readyAt).getTime() > CRASH_RESET_MS;
+  if (!history || stable) {
+    history = { count: 0 };
+  }
+  history.count++;
+  history.lastExit = { code, signal, at: new Date(now).toISOString() };
+  crashHistory.set(domain, history);
+
+  const entry = {
+    domain,
+    pid: null,
+    port: previous.port,
+    command: previous.command,
+    mode: "managed",
+    crashCount: history.count,
+    lastExit: history.lastExit,
+    lastAccess: previous.lastAccess,
+    childProcess: null,
+  };
+
+  const exitText = signal ? `signal ${signal}` : `code ${code}`;
+  const logWriter = createLogWriter(domain);
+
+  if (!retry || history.count > restart.maxRetries) {
+    entry.state = PROCESS_STATE.CRASHED;
+    entry.crashedAt = history.lastExit.at;
+    const message = `Crashed (exit ${exitText}) ${history.count} time(s) in a row; not restarting automatically (policy: ${restart.policy})`;
+    console.warn(`[Process Manager] ${domain}: ${message}`);
+    logWriter.system(message);
+  } else {
+    const delay = Math.min(
+      restart.backoffMs * 2 ** (history.count - 1),
+      restart.maxBackoffMs
+    );
+    entry.state = PROCESS_STATE.BACKOFF;
+    entry.nextRestartAt = new Date(now + delay).toISOString();
+    const delayText =
+      delay < 1000 ? `${delay}ms` : `${Math.round(delay / 1000)}s`;
+    const message = `Crashed (exit ${exitText}); restarting in ${delayText} (attempt ${history.count}/${restart.maxRetries})`;
+    console.warn(`[Process Manager] ${domain}: ${message}`);
+    logWriter.system(message);
+    scheduleRestart(domain, entry, delay);
+  }
+  logWriter.close();
+
+  runningProcesses.set(domain, entry);
+  updatePersistedProcesses();
+
+  return entry;
+}
+
+/**
+ * Restart a crashed dev server once its backoff delay has passed. Callers
+ * waiting for the server (e.g. held requests) can await the restart.
+ * @param {string} domain - Project domain
+ * @param {Object} entry - Backoff entry the restart belongs to
+ * @param {number} delayMs - Backoff delay
+ */
+function scheduleRestart(domain, entry, delayMs) {
+  const restart = new Promise((resolve) => setTimeout(resolve, delayMs))
+    .then(() => {
+      // Stopped or started by hand while waiting
+      if (runningProcesses.get(domain) !== entry) {
+        if (pendingStarts.has(domain)) {
+          return pendingStarts.get(domain);
+        }
+        const current = runningProcesses.get(domain);
         if (
-          !childProcess ||
-          childProcess.killed ||
-          childProcess.exitCode !== null
+          current &&
+          (current.state === PROCESS_STATE.RUNNING ||
+            current.state === PROCESS_STATE.MANUAL)
         ) {
-          reject(
-            new Error(
-              `Process exited with code ${
-                childProcess?.exitCode ?? "unknown"
-              } before becoming ready`
-            )
-          );
-        } else {
-          // Assume it's ready after a delay
-          resolve();
+          return current;
         }
-      }, 5000); // Give it 5 seconds to start
-
-      // Safely attach exit handler
-      if (!childProcess || typeof childProcess.once !== "function") {
-        clearTimeout(timeout);
-        reject(
-          new Error(
-            "childProcess is invalid when trying to attach exit handler"
-          )
-        );
-        return;
+        throw new Error(`Restart of ${domain} was cancelled`);
       }
 
-      try {
-        childProcess.once("exit", (code) => {
-          clearTimeout(timeout);
-          reject(
-            new Error(`Process exited with code ${code} before becoming ready`)
-          );
-        });
-      } catch (error) {
-        clearTimeout(timeout);
-        reject(new Error(`Failed to attach exit handler: ${error.message}`));
-        return;
+      return startDevServer(domain);
+    })
+    .finally(() => {
+      if (scheduledRestarts.get(domain) === restart) {
+        scheduledRestarts.delete(domain);
       }
-      return;
-    }
+    });
+
+  // A failed restart is handled as the next crash
+  restart.catch(() => {});
+  scheduledRestarts.set(domain, restart);
+}
 
-    const timeout = setTimeout(() => {
-      reject(new Error("Timeout waiting for server to be ready"));
-    }, timeoutMs);
+/**
+ * Forget a project's crashes and failed install, e.g. before an explicit
+ * start or restart. A pending automatic restart is cancelled.
+ * @param {string} domain - Project domain
+ */
+function clearCrashState(domain) {
+  crashHistory.delete(domain);
+  installFailures.delete(domain);
+
+  const existing = runningProcesses.get(domain);
+  if (
+    existing &&
+    (existing.state === PROCESS_STATE.BACKOFF ||
+      existing.state === PROCESS_STATE.CRASHED)
+  ) {
+    runningProcesses.delete(domain);
+    updatePersistedProcesses();
+  }
+}
 
-    const readyPatterns = [
-      /ready on/i,
-      /started server on/i,
-      /local:/i,
-      /listening on/i,
-      /ready in/i,
+/**
+ * Resolve the command that starts a project's dev server: config.command
+ * if set, else its Procfile's web entry, else the framework's script or binary run with the project's
+ * package manager. Frameworks that ignore PORT get the port as flags ahead
+ * of the user's; devFlags are appended in either case.
+ * @param {Object} project - Project from registry
+ * @param {Object} options - { port, devFlags } (devFlags overrides the
+ *   config; without a port no port flags are added)
+ * @returns {Object} { command, argv, shell } - command is the display
+ *   string; with shell it is also what the shell runs
+ * @throws {Error} If a command string has an unterminated quote
+ */
+function resolveDevCommand(project, options = {}) {
+  const config = project.config || {};
+  const cwd = getProjectCwd(project);
+  const devFlags = options.devFlags || config.devFlags || [];
+  const shell = config.shell === true;
+
+  if (config.command !== undefined) {
+    if (shell) {
+      const base = Array.isArray(config.command)
+        ? config.command.map(quoteShellArg).join(" ")
+        : config.command;
+      const command = [base, ...devFlags].join(" ");
+      return { command, argv: [command], shell };
+    }
+
+    const argv = [
+      ...(Array.isArray(config.command)
+        ? config.command
+        : splitCommand(config.command)),
+      ...devFlags,
     ];
+    return { command: argv.join(" "), argv, shell };
+  }
 
-    const checkOutput = (data) => {
-      const str = data.toString();
+  // A Procfile's web entry is a shell command line
+  const procfileCommand = getProcfileMainCommand(project);
+  if (procfileCommand) {
+    const command = [procfileCommand, ...devFlags].join(" ");
+    return { command, argv: [command], shell: true };
+  }
 
-      for (const pattern of readyPatterns) {
-        if (pattern.test(str)) {
-          clearTimeout(timeout);
-          if (childProcess.stdout) childProcess.stdout.off("data", checkOutput);
-          if (childProcess.stderr) childProcess.stderr.off("data", checkOutput);
-          resolve();
-          return;
-        }
-      }
-    };
+  const framework = resolveFramework(cwd, config);
+  const command = detectDevCommand(
+    cwd,
+    [
+      ...(options.port ? getPortArgs(framework, options.port, cwd) : []),
+      ...devFlags,
+    ],
+    { framework, packageManager: config.packageManager }
+  );
+  return { command, argv: shell ? [command] : splitCommand(command), shell };
+}
 
-    if (!childProcess) {
-      clearTimeout(timeout);
-      reject(new Error("childProcess is null in non-streamLogs path"));
-      return;
-    }
+/**
+ * Resolve the Node.js version a project asks for to an installed one
+ * @param {Object} project - Project from registry
+ * @param {Object|null} user - User it runs as (whose version managers count)
+ * @returns {Object|null} See resolveNodeVersion (null if none requested)
+ */
+function resolveProjectNode(project, user = null) {
+  const cwd = getProjectCwd(project);
+  return resolveNodeVersion(
+    cwd,
+    project.config,
+    getPackageJson(cwd),
+    user ? user.home : undefined
+  );
+}
 
-    if (childProcess.stdout && typeof childProcess.stdout.on === "function") {
-      try {
-        childProcess.stdout.on("data", checkOutput);
-      } catch (error) {
-        // Ignore errors attaching stdout handler
-      }
-    }
-    if (childProcess.stderr && typeof childProcess.stderr.on === "function") {
-      try {
-        childProcess.stderr.on("data", checkOutput);
-      } catch (error) {
-        // Ignore errors attaching stderr handler
-      }
-    }
+/**
+ * Build a dev server's environment: the daemon's environment (with the
+ * identity of the user it runs as), then the service discovery variables
+ * (NEXTIUM_DOMAIN, NEXTIUM_URL, NEXTIUM_URL_<NAME>), then config.envFile(s),
+ * then config.env, then PORT. The project's Node.js version, if it asks for
+ * one, goes first on the PATH.
+ * @param {Object} project - Project from registry
+ * @param {number} port - Allocated port (optional, e.g. for installs)
+ * @param {Object|null} user - Result of resolveRunAsUser
+ * @returns {Object} Environment
+ * @throws {Error} If an env file cannot be read
+ */
+function buildDevServerEnv(project, port, user = null) {
+  const config = project.config || {};
+  const env = { ...process.env };
+  if (user) {
+    applyUserEnv(env, user);
+  }
+  Object.assign(env, getDiscoveryEnv(project));
 
-    if (typeof childProcess.once !== "function") {
-      clearTimeout(timeout);
-      reject(new Error("childProcess.once is not a function"));
-      return;
-    }
+  for (const file of [].concat(config.envFile || [])) {
+    Object.assign(env, readEnvFile(path.resolve(project.path, file), user));
+  }
+  for (const [name, value] of Object.entries(config.env || {})) {
+    env[name] = String(value);
+  }
 
-    try {
-      childProcess.once("exit", (code) => {
-        clearTimeout(timeout);
-        reject(
-          new Error(`Process exited with code ${code} before becoming ready`)
-        );
-      });
-    } catch (error) {
-      clearTimeout(timeout);
-      reject(new Error(`Failed to attach exit handler: ${error.message}`));
+  const node = resolveProjectNode(project, user);
+  if (node && node.binDir) {
+    env.PATH = [node.binDir, env.PATH].filter(Boolean).join(path.delimiter);
+  }
+
+  // Read by Next.js, Express and classic Remix; others also get port flags
+  // Note: .env files in the project directory are automatically loaded by Next.js
+  if (port) {
+    env.PORT = port.toString();
+  }
+  return env;
+}
+
+/**
+ * Append a Node.js version warning to a startup error message
+ */
+function withNodeWarning(message, node) {
+  return node && node.warning ? `${message} (${node.warning})` : message;
+}
+
+/**
+ * Install a project's dependencies, bounded by coldStart.installTimeoutMs
+ * and tracked so that stopping the project (or the daemon) stops it
+ * @param {string} domain - Project domain
+ * @param {Object} project - Project from registry
+ * @param {string} cwd - Directory to install in
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @param {Object} options - { env, user, onOutput } for installDependencies
+ * @returns {Promise<Object>} { command, output } once the install succeeded
+ * @throws {Error} If the install fails, times out or is stopped
+ */
+async function installProjectDependencies(
+  domain,
+  project,
+  cwd,
+  packageManager,
+  options
+) {
+  try {
+    return await installDependencies(cwd, packageManager, {
+      ...options,
+      timeoutMs: getColdStartConfig(project.config).installTimeoutMs,
+      onSpawn: (child) => runningInstalls.set(domain, child),
+    });
+  } finally {
+    runningInstalls.delete(domain);
+  }
+}
+
+/**
+ * Stop a project's dependency install, if one is running
+ * @param {string} domain - Project domain
+ * @returns {Promise<boolean>} True if an install was stopped
+ */
+async function stopInstall(domain) {
+  const child = runningInstalls.get(domain);
+  if (!child) {
+    return false;
+  }
+  console.log(`[Process Manager] Stopping the dependency install of ${domain}`);
+  await killProcessTree(child.pid, 5000);
+  return true;
+}
+
+/**
+ * Install a project's dependencies as the install phase of its startup,
+ * if node_modules is missing or older than the lockfile
+ * @param {string} domain - Project domain
+ * @param {Object} project - Project from registry
+ * @param {string} cwd - Directory the dev server runs in
+ * @param {Object} env - Dev server environment
+ * @param {Object} runtime - { user, node } the dev server runs with
+ * @throws {Error} If the install fails (error.output holds its output)
+ */
+async function installIfNeeded(domain, project, cwd, env, runtime) {
+  const packageManager = detectPackageManager(cwd, {
+    override: project.config.packageManager,
+    pkg: getPackageJson(cwd),
+  });
+  const reason = getInstallReason(cwd, packageManager);
+  if (!reason) {
+    installFailures.delete(domain);
+    return;
+  }
+
+  // The same manifests would fail the same way on every request
+  const stamp = getManifestStamp(cwd, packageManager);
+  const previous = installFailures.get(domain);
+  if (previous && previous.stamp === stamp) {
+    const failure = new Error(
+      `${previous.error.message} (not retried until package.json or the lockfile changes, or nextium restart ${domain})`
+    );
+    failure.output = previous.error.output;
+    failStartup(domain, failure);
+    throw failure;
+  }
+
+  setStartupPhase(domain, STARTUP_PHASE.INSTALL);
+  const logWriter = createLogWriter(domain);
+  logWriter.system(
+    `Installing dependencies (${reason}): ${getInstallCommand(packageManager)}`
+  );
+
+  try {
+    await installProjectDependencies(domain, project, cwd, packageManager, {
+      env,
+      user: runtime.user,
+      onOutput: (stream, chunk) => {
+        logWriter.write(stream, chunk);
+        recordStartupOutput(domain, stream, chunk);
+      },
+    });
+    logWriter.system("Dependencies installed");
+  } catch (error) {
+    logWriter.system(error.message);
+    const failure = new Error(
+      withNodeWarning(
+        `Dependency install failed: ${error.message}`,
+        runtime.node
+      )
+    );
+    failure.output = error.output;
+    // An install stopped on purpose has not failed
+    if (!pendingStops.has(domain)) {
+      installFailures.set(domain, { stamp, error: failure });
     }
+    failStartup(domain, failure);
+    throw failure;
+  } finally {
+    logWriter.close();
+  }
+}
+
+/**
+ * Start a dev server for a project. Concurrent calls for the same domain
+ * share the in-flight start instead of spawning twice.
+ * @param {string} domain - Project domain
+ * @param {Object} options - Options (manual mode, etc.)
+ * @returns {Promise<Object>} Process info
+ */
+function startDevServer(domain, options = {}) {
+  if (pendingStarts.has(domain)) {
+    return pendingStarts.get(domain);
+  }
+
+  // Fresh progress from the moment the start is queued: a loading page
+  // connecting now must not get the previous attempt's failure
+  beginStartup(domain);
+
+  const start = launchDevServer(domain, options).finally(() => {
+    pendingStarts.delete(domain);
+    reservedStarts.delete(domain);
   });
+  pendingStarts.set(domain, start);
+
+  return start;
 }
 
 /**
- * Start a dev server for a project
+ * Spawn a dev server and wait until it is ready
  * @param {string} domain - Project domain
  * @param {Object} options - Options (manual mode, etc.)
  * @returns {Promise<Object>} Process info
  */
-async function startDevServer(domain, options = {}) {
+async function launchDevServer(domain, options = {}) {
+  const launchedAt = Date.now();
   const project = getProject(domain);
 
   if (!project) {
@@ -276,58 +715,170 @@ async function startDevServer(domain, options = {}) {
   // Check if already running
   if (runningProcesses.has(domain)) {
     const existing = runningProcesses.get(domain);
-    if (existing.state !== PROCESS_STATE.STOPPED) {
+    if (
+      ![
+        PROCESS_STATE.STOPPED,
+        PROCESS_STATE.BACKOFF,
+        PROCESS_STATE.CRASHED,
+      ].includes(existing.state)
+    ) {
       throw new Error(`Process for ${domain} is already ${existing.state}`);
     }
   }
 
+  // Dependencies first: each must be serving before this one starts
+  if ((project.config.dependsOn || []).length > 0) {
+    beginStartup(domain);
+    try {
+      await startDependencies(domain, project);
+    } catch (error) {
+      failStartup(domain, error);
+      throw error;
+    }
+  }
+
+  // Make room for another managed server first, holding its slot until
+  // it is registered
+  if (!options.manual) {
+    reservedStarts.add(domain);
+    await enforceResourceLimits({ incoming: domain });
+  }
+
   // Allocate port
-  const port = await allocatePort(project.config);
+  let port;
+  try {
+    port = await allocatePort(domain, project.config);
+  } catch (error) {
+    failStartup(domain, error);
+    throw error;
+  }
 
-  // Detect dev command with flags
-  const devFlags = project.config.devFlags || [];
-  const devCommand = detectDevCommand(project.path, devFlags);
-  const [command, ...args] = devCommand.split(" ");
+  // Resolve what to run, where and with which environment
+  const cwd = getProjectCwd(project);
+  const framework = resolveFramework(cwd, project.config);
+  let devCommand;
+  let argv;
+  let shell;
+  let env;
+  let node;
+  let user;
+  try {
+    if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) {
+      throw new Error(`Working directory ${cwd} does not exist`);
+    }
+    if (!isInsideProject(project.path, cwd)) {
+      throw new Error(
+        `Working directory ${cwd} is outside the project (${project.path})`
+      );
+    }
+    ({
+      command: devCommand,
+      argv,
+      shell,
+    } = resolveDevCommand(project, { port, devFlags: options.devFlags }));
+    user = resolveRunAsUser(project);
+    node = resolveProjectNode(project, user);
+    env = buildDevServerEnv(project, port, user);
+    if (project.config.writeEnvFile) {
+      writeDiscoveryEnvFile(cwd, getDiscoveryEnv(project), user);
+    }
+  } catch (error) {
+    beginStartup(domain, { port });
+    failStartup(domain, error);
+    throw error;
+  }
+  const [command, ...args] = argv;
 
-  // Set port environment variable for Next.js
-  // Note: .env files in the project directory are automatically loaded by Next.js
-  const env = {
-    ...process.env,
-    PORT: port.toString(),
-  };
+  // Output is piped (and teed to the terminal in manual mode), so keep colors
+  if (options.streamLogs && process.stdout.isTTY) {
+    env.FORCE_COLOR = "1";
+  }
 
   // Log what we're about to run (for debugging)
   if (options.streamLogs) {
-    console.error(`[Nextium] Running: ${command} ${args.join(" ")}`);
-    console.error(`[Nextium] Working directory: ${project.path}`);
-    console.error(`[Nextium] Port: ${port}`);
+    console.error(`[Nextium] Framework: ${framework.name}`);
+    console.error(`[Nextium] Running: ${devCommand}`);
+    console.error(`[Nextium] Working directory: ${cwd}`);
+    console.error(`[Nextium] Port: ${port || "none"}`);
+    if (user) {
+      console.error(`[Nextium] User: ${user.name} (${user.source})`);
+    }
+    if (node && node.version) {
+      console.error(`[Nextium] Node: ${node.version} (${node.source})`);
+    }
+  }
+  if (node && node.warning) {
+    console.warn(`[Process Manager] ${domain}: ${node.warning}`);
+  }
+
+  beginStartup(domain, { command: devCommand, port });
+
+  // Install dependencies first if node_modules is missing or stale
+  if (project.config.autoInstall !== false && !options.skipInstall) {
+    await installIfNeeded(domain, project, cwd, env, { user, node });
   }
 
   // Spawn the process
   let childProcess;
   try {
     childProcess = spawn(command, args, {
-      cwd: project.path,
+      cwd: cwd,
       env: env,
-      stdio: options.streamLogs ? "inherit" : "pipe",
+      shell: shell,
+      ...getSpawnIdentity(user),
+      stdio: ["ignore", "pipe", "pipe"],
+      // Own process group, so stopping can signal the whole tree
+      detached: process.platform !== "win32",
     });
   } catch (error) {
+    failStartup(domain, error);
     throw new Error(`Failed to spawn process: ${error.message}`);
   }
 
   // Check if spawn failed
   if (!childProcess) {
-    throw new Error(`Failed to spawn process: ${command} ${args.join(" ")}`);
+    const error = new Error(`Failed to spawn process: ${devCommand}`);
+    failStartup(domain, error);
+    throw error;
   }
 
+  // Capture output to the project's log file for its whole lifetime
+  const logWriter = createLogWriter(domain);
+  logWriter.system(
+    `Starting: ${devCommand} (${port ? `port ${port}` : "no port"}${
+      node && node.version ? `, node ${node.version}` : ""
+    }${user ? `, user ${user.name}` : ""})`
+  );
+  if (node && node.warning) {
+    logWriter.system(node.warning);
+  }
+
+  childProcess.stdout.on("data", (data) => {
+    logWriter.write(LOG_STREAM.STDOUT, data);
+    recordStartupOutput(domain, LOG_STREAM.STDOUT, data);
+    if (options.streamLogs) {
+      process.stdout.write(data);
+    }
+  });
+  childProcess.stderr.on("data", (data) => {
+    logWriter.write(LOG_STREAM.STDERR, data);
+    recordStartupOutput(domain, LOG_STREAM.STDERR, data);
+    if (options.streamLogs) {
+      process.stderr.write(data);
+    }
+  });
+
   // Set up error handler IMMEDIATELY (before anything else)
   // This must be done synchronously to catch immediate spawn errors
   let spawnError = null;
   const errorHandler = (error) => {
     spawnError = error;
     console.error(`[Process Manager] Process error for ${domain}:`, error);
+    logWriter.system(`Process error: ${error.message}`);
+    logWriter.close();
+    failStartup(domain, error);
     const proc = runningProcesses.get(domain);
-    if (proc) {
+    if (proc && proc.childProcess === childProcess) {
       proc.state = PROCESS_STATE.STOPPED;
       proc.error = error.message;
     }
@@ -335,19 +886,18 @@ async function startDevServer(domain, options = {}) {
 
   // Set up exit handler
   const exitHandler = (code, signal) => {
+    logWriter.system(
+      signal
+        ? `Process exited with signal ${signal}`
+        : `Process exited with code ${code}`
+    );
+    logWriter.close();
+    recordStartupExit(domain, code, signal);
+
     const proc = runningProcesses.get(domain);
-    if (proc) {
-      proc.state = PROCESS_STATE.STOPPED;
-      proc.exitCode = code;
-      proc.exitSignal = signal;
-      proc.stoppedAt = new Date().toISOString();
+    if (proc && proc.childProcess === childProcess) {
+      markProcessExited(domain, proc, code, signal);
     }
-
-    // Remove from tracking after a delay
-    setTimeout(() => {
-      runningProcesses.delete(domain);
-      updatePersistedProcesses();
-    }, 5000);
   };
 
   // Attach handlers immediately with error handling
@@ -378,7 +928,7 @@ async function startDevServer(domain, options = {}) {
 
   // Check if process has a valid PID
   if (!childProcess || !childProcess.pid) {
-    throw new Error(`Process failed to start: ${command} ${args.join(" ")}`);
+    throw new Error(`Process failed to start: ${devCommand}`);
   }
 
   const processInfo = {
@@ -386,14 +936,25 @@ async function startDevServer(domain, options = {}) {
     pid: childProcess.pid,
     port: port,
     command: devCommand,
+    framework: framework.key,
+    node: node && node.version ? node.version : null,
+    user: user ? user.name : null,
+    parent: project.parent || null,
+    service: project.service || null,
     state: PROCESS_STATE.STARTING,
     mode: options.manual ? "manual" : "managed",
+    crashCount: crashHistory.has(domain) ? crashHistory.get(domain).count : 0,
+    restarts: startCounts.get(domain) || 0,
+    lastExit: crashHistory.has(domain)
+      ? crashHistory.get(domain).lastExit
+      : null,
     startedAt: new Date().toISOString(),
     lastAccess: new Date().toISOString(),
     childProcess: childProcess,
   };
 
   runningProcesses.set(domain, processInfo);
+  startCounts.set(domain, processInfo.restarts + 1);
 
   try {
     // Ensure childProcess is still valid before waiting
@@ -401,36 +962,78 @@ async function startDevServer(domain, options = {}) {
       throw new Error("childProcess became null before waitForReady");
     }
 
-    // Wait for server to be ready
-    await waitForReady(childProcess, 30000, options.streamLogs);
+    // Wait for the project's readiness probe. A service without a port
+    // (a worker) is ready once spawned, unless it configures a probe.
+    const readyPort =
+      port || project.config.readiness
+        ? await waitForReady(childProcess, {
+            port,
+            cwd,
+            env,
+            user,
+            readiness: project.config.readiness,
+            patterns: framework.readyPatterns,
+          })
+        : null;
 
     // Double-check process is still running
     if (!childProcess || childProcess.killed) {
       throw new Error("Process was killed before becoming ready");
     }
 
+    // Some tools ignore PORT or move on when their port is busy
+    if (port && readyPort !== port) {
+      const message = `Dev server is listening on port ${readyPort}, not the allocated port ${port} - proxying to ${readyPort}`;
+      console.warn(`[Process Manager] ${domain}: ${message}`);
+      logWriter.system(message);
+      processInfo.port = readyPort;
+    }
+
     processInfo.state = options.manual
       ? PROCESS_STATE.MANUAL
       : PROCESS_STATE.RUNNING;
     processInfo.readyAt = new Date().toISOString();
+    // From the request that started it, through dependencies and installs
+    processInfo.coldStartMs = Date.now() - launchedAt;
+    setStartupPhase(domain, STARTUP_PHASE.READY);
 
     updatePersistedProcesses();
+    processEvents.emit("ready", domain, processInfo);
+
+    // The project's sub-services come up with it
+    if (!project.parent) {
+      startProjectServices(domain, project, options);
+    }
 
     return processInfo;
   } catch (error) {
-    // Failed to start - clean up
-    if (childProcess && !childProcess.killed) {
-      try {
-        childProcess.kill("SIGTERM");
-      } catch (killError) {
-        // Ignore kill errors
-      }
+    // Failed to start - clean up the whole process tree
+    if (childProcess && childProcess.pid) {
+      await killProcessTree(childProcess.pid, 5000);
+    }
+    if (runningProcesses.get(domain) === processInfo) {
+      runningProcesses.delete(domain);
     }
-    runningProcesses.delete(domain);
+
+    // Failing to start counts as a crash, unless it was stopped on purpose
+    const crash =
+      !options.manual && !pendingStops.has(domain)
+        ? handleCrash(
+            domain,
+            processInfo,
+            childProcess.exitCode,
+            childProcess.signalCode
+          )
+        : null;
+    // A missing Node version is a likely cause, so name it
+    const message = withNodeWarning(error.message, node);
+    failStartup(domain, new Error(message), {
+      nextRestartAt: crash ? crash.nextRestartAt : null,
+    });
 
     // Re-throw with more context
     const enhancedError = new Error(
-      `Failed to start dev server for ${domain}: ${error.message}`
+      `Failed to start dev server for ${domain}: ${message}`
     );
     enhancedError.originalError = error;
     throw enhancedError;
@@ -438,43 +1041,334 @@ async function startDevServer(domain, options = {}) {
 }
 
 /**
- * Stop a dev server
+ * Check that a project's dependencies are registered and free of cycles
+ * @param {string} domain - Project domain
+ * @param {Function} lookup - Finds a project by domain (defaults to the
+ *   registry)
+ * @throws {Error} Naming the missing dependency or the cycle
+ */
+function checkDependencyGraph(domain, lookup = getProject) {
+  const checked = new Set();
+
+  const visit = (current, chain) => {
+    if (checked.has(current)) {
+      return;
+    }
+    const project = lookup(current);
+    if (!project) {
+      throw new Error(
+        `${
+          chain[chain.length - 2]
+        } depends on ${current}, which is not registered`
+      );
+    }
+
+    for (const dependency of project.config.dependsOn || []) {
+      const cycleStart = chain.indexOf(dependency);
+      if (cycleStart !== -1) {
+        throw new Error(
+          `Dependency cycle: ${[...chain.slice(cycleStart), dependency].join(
+            " -> "
+          )}`
+        );
+      }
+      visit(dependency, [...chain, dependency]);
+    }
+    checked.add(current);
+  };
+
+  visit(domain, [domain]);
+}
+
+/**
+ * Start a project's dependencies (each after its own) and wait until all
+ * of them are ready
+ * @param {string} domain - Project domain
+ * @param {Object} project - Project from registry
+ * @throws {Error} If the graph has a cycle or a dependency fails to start
+ */
+async function startDependencies(domain, project) {
+  checkDependencyGraph(domain);
+
+  const logWriter = createLogWriter(domain);
+  try {
+    await Promise.all(
+      project.config.dependsOn.map(async (dependency) => {
+        logWriter.system(`Waiting for dependency ${dependency}`);
+        recordStartupOutput(
+          domain,
+          LOG_STREAM.SYSTEM,
+          `Waiting for dependency ${dependency}\n`
+        );
+        try {
+          await ensureDevServer(dependency);
+        } catch (error) {
+          throw new Error(
+            `Dependency ${dependency} failed to start: ${error.message}`
+          );
+        }
+      })
+    );
+  } finally {
+    logWriter.close();
+  }
+}
+
+/**
+ * Get the running processes that depend on a project or its sub-services
+ * @param {string} domain - Project domain or service key
+ * @returns {Array<string>} Domains of the dependents
+ */
+function getRunningDependents(domain) {
+  const unit = [domain, ...getServiceKeys(domain)];
+
+  return Array.from(runningProcesses.values())
+    .filter((processInfo) => {
+      if (
+        unit.includes(processInfo.domain) ||
+        [
+          PROCESS_STATE.STOPPED,
+          PROCESS_STATE.STOPPING,
+          PROCESS_STATE.CRASHED,
+        ].includes(processInfo.state)
+      ) {
+        return false;
+      }
+      const project = getProject(processInfo.domain);
+      return (
+        project &&
+        (project.config.dependsOn || []).some((dependency) =>
+          unit.includes(dependency)
+        )
+      );
+    })
+    .map((processInfo) => processInfo.domain);
+}
+
+/**
+ * Start the sub-services of a project that are not running yet. Runs in
+ * the background; failures are logged to the service.
+ * @param {string} domain - Project domain
+ * @param {Object} project - Project from registry
+ * @param {Object} options - Start options of the project (manual mode)
+ */
+function startProjectServices(domain, project, options) {
+  let services;
+  try {
+    services = getProjectServices(project);
+  } catch (error) {
+    console.warn(`[Process Manager] ${domain}: ${error.message}`);
+    return;
+  }
+
+  for (const service of services) {
+    ensureDevServer(service.key, { manual: options.manual }).catch((error) => {
+      console.warn(`[Process Manager] ${service.key}: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * Get the sub-services of a project that are tracked (running or not)
+ * @param {string} domain - Project domain
+ * @returns {Array<string>} Service keys
+ */
+function getServiceKeys(domain) {
+  return Array.from(runningProcesses.values())
+    .filter((processInfo) => processInfo.parent === domain)
+    .map((processInfo) => processInfo.domain);
+}
+
+/**
+ * Make sure a stopped server's port is free again. Leftover listeners that
+ * were started from the project directory are killed; anything else is
+ * reported.
+ * @param {string} domain - Project domain
+ * @param {number} port - Port the server was using
+ * @returns {Promise<boolean>} True if the port is free
+ */
+async function verifyPortReleased(domain, port) {
+  const deadline = Date.now() + 3000;
+  while (!(await isPortAvailable(port))) {
+    if (Date.now() >= deadline) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  if (await isPortAvailable(port)) {
+    return true;
+  }
+
+  const project = getProject(domain);
+  const logWriter = createLogWriter(domain);
+
+  for (const pid of getPortListeners(port)) {
+    const command = getProcessCommand(pid) || "unknown";
+    const cwd = getProcessCwd(pid);
+    const ours = project && cwd && isPathInside(cwd, project.path);
+
+    const report = `Port ${port} still in use after stopping ${domain}: PID ${pid} (${command})${
+      ours ? " - killing it" : " - not started by Nextium, leaving it alone"
+    }`;
+    console.warn(`[Process Manager] ${report}`);
+    logWriter.system(report);
+
+    if (ours) {
+      await killProcessTree(pid, 0);
+    }
+  }
+
+  const released = await isPortAvailable(port);
+  if (!released) {
+    logWriter.system(`Port ${port} could not be released`);
+  }
+  logWriter.close();
+
+  return released;
+}
+
+/**
+ * Stop a dev server, together with its project's sub-services. Concurrent
+ * calls for the same domain share the in-flight stop.
+ * @param {string} domain - Project domain
+ * @param {boolean} force - Force kill if true
+ * @returns {Promise<boolean>} Success status
+ */
+function stopDevServer(domain, force = false) {
+  if (pendingStops.has(domain)) {
+    return pendingStops.get(domain);
+  }
+
+  const stop = Promise.all([
+    terminateDevServer(domain, force),
+    stopInstall(domain),
+    ...getServiceKeys(domain).map((key) => stopDevServer(key, force)),
+  ])
+    .then(([stopped, installing, ...services]) =>
+      [stopped, installing, ...services].some(Boolean)
+    )
+    .finally(() => {
+      pendingStops.delete(domain);
+    });
+  pendingStops.set(domain, stop);
+
+  return stop;
+}
+
+/**
+ * Terminate a dev server's process tree and release its port
  * @param {string} domain - Project domain
  * @param {boolean} force - Force kill if true
  * @returns {Promise<boolean>} Success status
  */
-async function stopDevServer(domain, force = false) {
+async function terminateDevServer(domain, force = false) {
   const processInfo = runningProcesses.get(domain);
 
   if (!processInfo || processInfo.state === PROCESS_STATE.STOPPED) {
     return false;
   }
 
+  // Nothing is running while waiting to restart or after giving up
+  if (
+    processInfo.state === PROCESS_STATE.BACKOFF ||
+    processInfo.state === PROCESS_STATE.CRASHED
+  ) {
+    clearCrashState(domain);
+    return true;
+  }
+
   processInfo.state = PROCESS_STATE.STOPPING;
 
-  return new Promise((resolve) => {
-    const { childProcess } = processInfo;
+  // Terminate the whole tree: `npm run dev` -> `next dev` -> workers.
+  // Graceful shutdown gets up to 10 seconds before SIGKILL.
+  const survivors = await killProcessTree(processInfo.pid, force ? 0 : 10000);
+  if (survivors.length > 0) {
+    console.warn(
+      `[Process Manager] Processes for ${domain} survived SIGKILL: ${survivors.join(
+        ", "
+      )}`
+    );
+  }
 
-    if (force) {
-      childProcess.kill("SIGKILL");
-      resolve(true);
-      return;
+  // Record the exit now rather than waiting for the exit event or poll
+  if (processInfo.state !== PROCESS_STATE.STOPPED) {
+    if (processInfo.childProcess && survivors.length === 0) {
+      await new Promise((resolve) => {
+        const timeout = setTimeout(resolve, 1000);
+        processInfo.childProcess.once("exit", () => {
+          clearTimeout(timeout);
+          resolve();
+        });
+      });
+    }
+    if (
+      processInfo.state !== PROCESS_STATE.STOPPED &&
+      runningProcesses.get(domain) === processInfo
+    ) {
+      markProcessExited(
+        domain,
+        processInfo,
+        null,
+        force ? "SIGKILL" : "SIGTERM"
+      );
     }
+  }
 
-    // Graceful shutdown
-    childProcess.kill("SIGTERM");
+  if (processInfo.port) {
+    await verifyPortReleased(domain, processInfo.port);
+  }
 
-    // Wait up to 10 seconds for graceful shutdown
-    const timeout = setTimeout(() => {
-      childProcess.kill("SIGKILL");
-      resolve(true);
-    }, 10000);
+  return true;
+}
 
-    childProcess.once("exit", () => {
-      clearTimeout(timeout);
-      resolve(true);
-    });
-  });
+/**
+ * Make sure a dev server is running, starting it on demand. Joins a start
+ * already in flight, and lets a stop in progress finish before starting
+ * again.
+ * @param {string} domain - Project domain
+ * @param {Object} options - Start options
+ * @returns {Promise<Object>} Process info once the server is ready
+ */
+async function ensureDevServer(domain, options = {}) {
+  if (pendingStarts.has(domain)) {
+    return pendingStarts.get(domain);
+  }
+
+  if (pendingStops.has(domain)) {
+    await pendingStops.get(domain);
+    return startDevServer(domain, options);
+  }
+
+  let existing = runningProcesses.get(domain);
+  if (
+    existing &&
+    (existing.state === PROCESS_STATE.RUNNING ||
+      existing.state === PROCESS_STATE.MANUAL)
+  ) {
+    if (isProcessAlive(existing.pid)) {
+      return existing;
+    }
+    // Died without the exit being noticed yet
+    markProcessExited(domain, existing, null, null);
+    existing = runningProcesses.get(domain);
+  }
+
+  if (
+    existing &&
+    existing.state === PROCESS_STATE.BACKOFF &&
+    scheduledRestarts.has(domain)
+  ) {
+    return scheduledRestarts.get(domain);
+  }
+
+  if (existing && existing.state === PROCESS_STATE.CRASHED) {
+    throw new Error(
+      `${domain} crashed ${existing.crashCount} time(s) in a row and is not restarted automatically. Restart it with: nextium restart ${domain}`
+    );
+  }
+
+  return startDevServer(domain, options);
 }
 
 /**
@@ -484,11 +1378,9 @@ async function stopDevServer(domain, force = false) {
  * @returns {Promise<Object>} Process info
  */
 async function restartDevServer(domain, options = {}) {
+  // Stopping waits for the port to be released
   await stopDevServer(domain, false);
 
-  // Wait a bit for port to be released
-  await new Promise((resolve) => setTimeout(resolve, 1000));
-
   return startDevServer(domain, options);
 }
 
@@ -505,6 +1397,209 @@ function updateLastAccess(domain) {
   }
 }
 
+/**
+ * Count a proxied request (an HTTP request or WebSocket upgrade) towards
+ * a server's request rate
+ * @param {string} domain - Project domain
+ */
+function recordRequest(domain) {
+  const second = Math.floor(Date.now() / 1000);
+  const buckets = (requestBuckets.get(domain) || []).filter(
+    ([at]) => at > second - REQUEST_WINDOW_SECONDS
+  );
+  const last = buckets[buckets.length - 1];
+  if (last && last[0] === second) {
+    last[1]++;
+  } else {
+    buckets.push([second, 1]);
+  }
+  requestBuckets.set(domain, buckets);
+}
+
+/**
+ * Sample the CPU and memory of every serving process tree. CPU is the
+ * share of one core used since the previous sample (or since the server
+ * started, for its first one), summed per process so a descendant exiting
+ * does not make the tree's time go backwards.
+ */
+function sampleProcessStats() {
+  const now = Date.now();
+  const parents = getParentPids();
+
+  for (const domain of cpuSamples.keys()) {
+    if (!runningProcesses.has(domain)) {
+      cpuSamples.delete(domain);
+    }
+  }
+
+  for (const [domain, processInfo] of runningProcesses.entries()) {
+    if (
+      ![
+        PROCESS_STATE.RUNNING,
+        PROCESS_STATE.MANUAL,
+        PROCESS_STATE.STARTING,
+      ].includes(processInfo.state)
+    ) {
+      cpuSamples.delete(domain);
+      continue;
+    }
+
+    const usage = getProcessTreeUsage(processInfo.pid, parents);
+    const previous = cpuSamples.get(domain);
+    const since =
+      previous && previous.pid === processInfo.pid
+        ? previous
+        : {
+            cpuByPid: new Map(),
+            at: new Date(processInfo.startedAt).getTime(),
+          };
+
+    let cpuSeconds = 0;
+    for (const [pid, seconds] of usage.cpuByPid) {
+      const before = since.cpuByPid.get(pid) || 0;
+      // A lower reading is a reused pid: count it as a new process
+      cpuSeconds += seconds >= before ? seconds - before : seconds;
+    }
+    const elapsedSeconds = (now - since.at) / 1000;
+
+    cpuSamples.set(domain, {
+      pid: processInfo.pid,
+      at: now,
+      cpuByPid: usage.cpuByPid,
+      cpuPercent:
+        elapsedSeconds > 0
+          ? Math.round((cpuSeconds / elapsedSeconds) * 1000) / 10
+          : 0,
+      rss: usage.rss,
+    });
+  }
+}
+
+/**
+ * Keep sampling resource usage while clients ask for it: the first request
+ * takes a sample right away and starts the timer, which stops (dropping
+ * the samples) once nobody has asked for STATS_IDLE_MS
+ */
+function requestStatsSampling() {
+  statsRequestedAt = Date.now();
+  if (statsTimer) {
+    return;
+  }
+
+  const sample = () => {
+    try {
+      sampleProcessStats();
+    } catch (error) {
+      console.error("[Process Manager] Error sampling process stats:", error);
+    }
+  };
+  sample();
+  statsTimer = setInterval(() => {
+    if (Date.now() - statsRequestedAt > STATS_IDLE_MS) {
+      clearInterval(statsTimer);
+      statsTimer = null;
+      cpuSamples.clear();
+      return;
+    }
+    sample();
+  }, STATS_SAMPLE_MS);
+  statsTimer.unref();
+}
+
+/**
+ * Get the resource usage of every tracked server, from the latest sample
+ * (sampling runs while this is asked for, see requestStatsSampling)
+ * @returns {Object} Stats keyed by domain: { cpuPercent, rss, uptimeMs,
+ *   restarts, requestsPerMinute, coldStartMs } (cpuPercent and rss are
+ *   null until the server's first sample, uptimeMs while nothing runs)
+ */
+function getProcessStats() {
+  requestStatsSampling();
+  const now = Date.now();
+  const second = Math.floor(now / 1000);
+  const stats = {};
+
+  for (const [domain, processInfo] of runningProcesses.entries()) {
+    const requests = (requestBuckets.get(domain) || [])
+      .filter(([at]) => at > second - REQUEST_WINDOW_SECONDS)
+      .reduce((total, [, count]) => total + count, 0);
+    const sample = cpuSamples.get(domain);
+    const current = sample && sample.pid === processInfo.pid;
+
+    stats[domain] = {
+      cpuPercent: current ? sample.cpuPercent : null,
+      rss: current ? sample.rss : null,
+      uptimeMs: current
+        ? now - new Date(processInfo.startedAt).getTime()
+        : null,
+      restarts: processInfo.restarts || 0,
+      requestsPerMinute: Math.round((requests * 60) / REQUEST_WINDOW_SECONDS),
+      coldStartMs: processInfo.coldStartMs || null,
+    };
+  }
+
+  return stats;
+}
+
+/**
+ * Switch a process, and its project's sub-services, between manual and
+ * managed mode
+ * @param {string} domain - Project domain
+ * @param {string} mode - "manual" or "managed"
+ * @returns {boolean} True if the process was found
+ */
+function setProcessMode(domain, mode) {
+  const processInfo = runningProcesses.get(domain);
+  const services = getServiceKeys(domain).map((key) =>
+    setProcessMode(key, mode)
+  );
+
+  if (!processInfo || processInfo.state === PROCESS_STATE.STOPPED) {
+    return services.some(Boolean);
+  }
+
+  processInfo.mode = mode;
+  if (processInfo.state !== PROCESS_STATE.STARTING) {
+    processInfo.state =
+      mode === "manual" ? PROCESS_STATE.MANUAL : PROCESS_STATE.RUNNING;
+  }
+  // Restart the idle clock when handing a process back to management
+  processInfo.lastAccess = new Date().toISOString();
+  updatePersistedProcesses();
+
+  return true;
+}
+
+/**
+ * End manual mode when its `nextium dev` session is gone, after a start in
+ * flight has finished. Servers it no longer holds (stopped, or handed back
+ * already) are left alone.
+ * @param {string} domain - Project domain
+ * @param {string} onExit - "stop" to stop the server, else it is managed
+ * @returns {Promise<boolean>} True if the server was in manual mode
+ */
+async function releaseManualMode(domain, onExit) {
+  if (pendingStarts.has(domain)) {
+    await pendingStarts.get(domain).catch(() => {});
+  }
+
+  const processInfo = runningProcesses.get(domain);
+  if (!processInfo || processInfo.mode !== "manual") {
+    return false;
+  }
+
+  if (onExit === "stop") {
+    console.log(`[Process Manager] ${domain}: nextium dev exited, stopping`);
+    await stopDevServer(domain);
+  } else {
+    console.log(
+      `[Process Manager] ${domain}: nextium dev exited, back to managed mode`
+    );
+    setProcessMode(domain, "managed");
+  }
+  return true;
+}
+
 /**
  * Get process info for a domain
  * @param {string} domain - Project domain
@@ -565,11 +1660,19 @@ function getAllProcesses() {
 }
 
 /**
- * Check for idle processes and stop them
+ * Check for idle processes and stop them. A project and its sub-services
+ * are idle together: the unit's most recent access counts for each.
  */
 async function checkIdleProcesses() {
   const now = Date.now();
 
+  const unitAccess = new Map();
+  for (const processInfo of runningProcesses.values()) {
+    const unit = processInfo.parent || processInfo.domain;
+    const lastAccess = new Date(processInfo.lastAccess).getTime();
+    unitAccess.set(unit, Math.max(unitAccess.get(unit) || 0, lastAccess));
+  }
+
   for (const [domain, processInfo] of runningProcesses.entries()) {
     // Skip manual mode processes
     if (processInfo.mode === "manual") {
@@ -587,10 +1690,14 @@ async function checkIdleProcesses() {
     }
 
     const idleTimeout = project.config.idle?.timeoutMs || 300000;
-    const lastAccess = new Date(processInfo.lastAccess).getTime();
-    const idleTime = now - lastAccess;
+    const idleTime = now - unitAccess.get(processInfo.parent || domain);
 
     if (idleTime > idleTimeout) {
+      // A dependency stays up while anything that needs it runs
+      if (getRunningDependents(domain).length > 0) {
+        continue;
+      }
+
       console.log(
         `[Process Manager] Stopping idle process: ${domain} (idle for ${Math.round(
           idleTime / 1000
@@ -602,33 +1709,381 @@ async function checkIdleProcesses() {
 }
 
 /**
- * Start idle check interval
+ * Stop a server to stay within the resource limits, logging why
+ * @param {string} domain - Project domain or service key
+ * @param {string} reason - Why it was chosen
+ */
+async function evictDevServer(domain, reason) {
+  console.log(`[Process Manager] Evicting ${domain}: ${reason}`);
+  const logWriter = createLogWriter(domain);
+  logWriter.system(`Stopped to stay within resource limits: ${reason}`);
+  logWriter.close();
+
+  await stopDevServer(domain);
+}
+
+/**
+ * Describe how long ago a server was last accessed
+ */
+function formatIdle(lastAccess) {
+  return `last accessed ${Math.round((Date.now() - lastAccess) / 1000)}s ago`;
+}
+
+/**
+ * Choose the unit to evict next: the least recently accessed one that is
+ * not in manual mode, not starting, not kept for the incoming start and
+ * not needed by anything running
+ * @param {Iterable<Object>} units - { domain, manual, starting, lastAccess }
+ * @param {Set<string>} keep - Units that must stay up
+ * @param {Function} hasDependents - Whether something running needs a unit
+ * @returns {Object|undefined} Unit to evict, or undefined if none can be
+ */
+function pickEvictionCandidate(units, keep, hasDependents) {
+  return Array.from(units)
+    .filter(
+      (unit) =>
+        !unit.manual &&
+        !unit.starting &&
+        !keep.has(unit.domain) &&
+        !hasDependents(unit.domain)
+    )
+    .sort((a, b) => a.lastAccess - b.lastAccess)[0];
+}
+
+/**
+ * Enforce the global resource limits (~/.nextium/config.json `limits`) and
+ * per-project RSS ceilings. Servers over their ceiling are stopped; while
+ * too many managed servers run (starts that are reserved included), or all
+ * servers together use more than the RSS budget, the least recently
+ * accessed managed project (with its services) is stopped. Manual-mode
+ * servers are never stopped, and neither is a project something running
+ * depends on.
+ * @param {Object} options - { incoming } - domain about to start, which is
+ *   never evicted, and neither are its dependencies
+ */
+async function enforceResourceLimits(options = {}) {
+  const limits = getResourceLimits();
+  const mb = (bytes) => Math.round(bytes / 1048576);
+  const unitOf = (domain) => (getProject(domain) || {}).parent || domain;
+  const incoming = options.incoming ? unitOf(options.incoming) : null;
+
+  // The incoming server's dependencies were just started for it
+  const incomingProject = incoming ? getProject(options.incoming) : null;
+  const keep = new Set([
+    incoming,
+    ...((incomingProject && incomingProject.config.dependsOn) || []).map(
+      unitOf
+    ),
+  ]);
+
+  const isUp = (processInfo) =>
+    [
+      PROCESS_STATE.RUNNING,
+      PROCESS_STATE.MANUAL,
+      PROCESS_STATE.STARTING,
+    ].includes(processInfo.state);
+
+  // Memory is only measured when a memory limit could apply
+  const measureRss =
+    limits.maxTotalRssMb !== null ||
+    limits.maxProjectRssMb !== null ||
+    Array.from(runningProcesses.keys()).some(
+      (domain) => ((getProject(domain) || {}).config || {}).limits
+    );
+  const rss = new Map();
+  if (measureRss) {
+    const parents = getParentPids();
+    for (const [domain, processInfo] of runningProcesses.entries()) {
+      if (isUp(processInfo)) {
+        rss.set(domain, getProcessTreeUsage(processInfo.pid, parents).rss);
+      }
+    }
+  }
+
+  // Per-project ceilings
+  for (const [domain, processInfo] of runningProcesses.entries()) {
+    const project = getProject(domain);
+    const ceiling =
+      (project && project.config.limits && project.config.limits.maxRssMb) ||
+      limits.maxProjectRssMb;
+    if (
+      !ceiling ||
+      !rss.has(domain) ||
+      processInfo.state === PROCESS_STATE.STARTING ||
+      mb(rss.get(domain)) <= ceiling
+    ) {
+      continue;
+    }
+
+    const reason = `using ${mb(
+      rss.get(domain)
+    )} MB, over its ${ceiling} MB ceiling`;
+    const dependents =
+      keep.has(unitOf(domain)) && unitOf(domain) !== incoming
+        ? [incoming]
+        : getRunningDependents(unitOf(domain));
+    if (processInfo.mode === "manual" || dependents.length > 0) {
+      if (!processInfo.overCeiling) {
+        console.warn(
+          `[Process Manager] Not evicting ${domain}: ${reason}, but ${
+            processInfo.mode === "manual"
+              ? "it runs in manual mode"
+              : `${dependents.join(", ")} depend${
+                  dependents.length === 1 ? "s" : ""
+                } on it`
+          }`
+        );
+      }
+      processInfo.overCeiling = true;
+      continue;
+    }
+    await evictDevServer(domain, reason);
+    rss.delete(domain);
+  }
+
+  // Group what is still up into units (a project with its services)
+  const units = new Map();
+  for (const [domain, processInfo] of runningProcesses.entries()) {
+    if (!isUp(processInfo)) {
+      continue;
+    }
+    const name = processInfo.parent || domain;
+    const unit = units.get(name) || {
+      domain: name,
+      servers: 0,
+      manual: false,
+      starting: false,
+      lastAccess: 0,
+      rss: 0,
+    };
+    unit.servers++;
+    unit.manual = unit.manual || processInfo.mode === "manual";
+    unit.starting =
+      unit.starting || processInfo.state === PROCESS_STATE.STARTING;
+    unit.lastAccess = Math.max(
+      unit.lastAccess,
+      new Date(processInfo.lastAccess).getTime()
+    );
+    unit.rss += rss.get(domain) || 0;
+    units.set(name, unit);
+  }
+
+  // Reserved starts not registered yet, with the services they will start
+  const reserved = [...new Set([...reservedStarts].map(unitOf))].filter(
+    (name) => !units.has(name)
+  );
+  const reservedCount = reserved.reduce((total, name) => {
+    const project = getProject(name);
+    return total + (project ? getUnitDomains(name, project).length : 1);
+  }, 0);
+  const managedCount = () =>
+    Array.from(units.values())
+      .filter((unit) => !unit.manual)
+      .reduce((total, unit) => total + unit.servers, 0) + reservedCount;
+  const totalRss = () =>
+    Array.from(units.values()).reduce((total, unit) => total + unit.rss, 0);
+
+  const nextCandidate = () =>
+    pickEvictionCandidate(
+      units.values(),
+      keep,
+      (domain) => getRunningDependents(domain).length > 0
+    );
+
+  const checks = [
+    {
+      exceeded: () =>
+        limits.maxServers !== null && managedCount() > limits.maxServers,
+      describe: () =>
+        `${managedCount()} managed servers${
+          reserved.length > 0 ? ` with ${reserved.join(", ")} starting` : ""
+        }, limit is ${limits.maxServers}`,
+    },
+    {
+      exceeded: () =>
+        limits.maxTotalRssMb !== null && mb(totalRss()) > limits.maxTotalRssMb,
+      describe: () =>
+        `servers use ${mb(totalRss())} MB, budget is ${
+          limits.maxTotalRssMb
+        } MB`,
+    },
+  ];
+
+  for (const check of checks) {
+    while (check.exceeded()) {
+      const unit = nextCandidate();
+      if (!unit) {
+        console.warn(
+          `[Process Manager] Over the resource limits (${check.describe()}), but every running server is in manual mode, starting, or needed by another one`
+        );
+        break;
+      }
+
+      const reason = `${check.describe()}; least recently accessed (${formatIdle(
+        unit.lastAccess
+      )})`;
+      units.delete(unit.domain);
+      await evictDevServer(unit.domain, reason);
+    }
+  }
+}
+
+/**
+ * Start idle check interval, which also enforces the resource limits
  * @param {number} intervalMs - Check interval in milliseconds
  * @returns {NodeJS.Timeout} Interval ID
  */
 function startIdleCheck(intervalMs = 30000) {
   return setInterval(() => {
-    checkIdleProcesses().catch((error) => {
-      console.error("[Process Manager] Error checking idle processes:", error);
-    });
+    checkIdleProcesses()
+      .then(() => enforceResourceLimits())
+      .catch((error) => {
+        console.error(
+          "[Process Manager] Error checking idle processes:",
+          error
+        );
+      });
   }, intervalMs);
 }
 
 /**
  * Update persisted processes file
+ * The daemon owns all managed processes, so its in-memory state is authoritative
  */
 function updatePersistedProcesses() {
-  const processes = getAllProcesses();
+  const processes = {};
+  for (const [domain, processInfo] of runningProcesses.entries()) {
+    const { childProcess, ...info } = processInfo;
+    processes[domain] = info;
+  }
   saveProcesses({ processes });
 }
 
+/**
+ * Poll an adopted process (no ChildProcess handle) so its exit is noticed
+ * @param {string} domain - Project domain
+ * @param {Object} processInfo - Adopted process entry
+ */
+function watchAdoptedProcess(domain, processInfo) {
+  const timer = setInterval(() => {
+    if (!isProcessAlive(processInfo.pid)) {
+      clearInterval(timer);
+      if (runningProcesses.get(domain) === processInfo) {
+        markProcessExited(domain, processInfo, null, null);
+      }
+    }
+  }, 2000);
+  timer.unref();
+}
+
+/**
+ * Stop processes holding a port that were started from a project directory
+ * (orphans of an earlier daemon); other listeners are only reported
+ * @param {number} port - Port to check
+ * @param {Object|null} project - Project the port was recorded for
+ * @param {Object} summary - Reconciliation summary to update
+ */
+async function clearPortSquatters(port, project, summary) {
+  for (const pid of getPortListeners(port)) {
+    const cwd = getProcessCwd(pid);
+
+    if (project && cwd && isPathInside(cwd, project.path)) {
+      console.log(
+        `[Process Manager] Stopping orphaned process ${pid} on port ${port}`
+      );
+      await killProcessTree(pid, 5000);
+      summary.killed.push({ pid, port });
+    } else {
+      console.warn(
+        `[Process Manager] Port ${port} is held by unrelated process ${pid} (${
+          getProcessCommand(pid) || "unknown"
+        })`
+      );
+    }
+  }
+}
+
+/**
+ * Reconcile persisted processes with reality after a daemon restart.
+ * Dev servers we launched that are still serving their port are adopted back
+ * into management; stale entries are dropped and orphans are stopped.
+ * @returns {Promise<Object>} Summary with adopted, removed and killed entries
+ */
+async function reconcileProcesses() {
+  const persisted = loadProcesses().processes || {};
+  const summary = { adopted: [], removed: [], killed: [] };
+
+  for (const [domain, entry] of Object.entries(persisted)) {
+    if (runningProcesses.has(domain)) {
+      continue;
+    }
+
+    const project = getProject(domain);
+    const cwd = isProcessAlive(entry.pid) ? getProcessCwd(entry.pid) : null;
+    const ours =
+      isProcessAlive(entry.pid) &&
+      commandMatches(getProcessCommand(entry.pid), entry.command) &&
+      (!project || !cwd || isPathInside(cwd, project.path));
+
+    if (ours) {
+      // Services without a port serve as long as they run
+      const tree = [entry.pid, ...getDescendantPids(entry.pid)];
+      const serving =
+        !entry.port ||
+        getPortListeners(entry.port).some((pid) => tree.includes(pid));
+
+      if (project && serving && entry.state !== PROCESS_STATE.STOPPING) {
+        const now = new Date().toISOString();
+        const processInfo = {
+          ...entry,
+          state: PROCESS_STATE.RUNNING,
+          mode: "managed",
+          adoptedAt: now,
+          lastAccess: now,
+          childProcess: null,
+        };
+        runningProcesses.set(domain, processInfo);
+        watchAdoptedProcess(domain, processInfo);
+        processEvents.emit("ready", domain, processInfo);
+
+        const logWriter = createLogWriter(domain);
+        logWriter.system(
+          `Adopted running dev server after daemon restart (PID ${entry.pid}${
+            entry.port ? `, port ${entry.port}` : ""
+          }); its output is no longer captured`
+        );
+        logWriter.close();
+
+        summary.adopted.push({ domain, pid: entry.pid, port: entry.port });
+        continue;
+      }
+
+      // Ours, but unregistered or not serving - stop it
+      await killProcessTree(entry.pid, 5000);
+      summary.killed.push({ domain, pid: entry.pid, port: entry.port });
+    } else {
+      summary.removed.push({ domain, pid: entry.pid, port: entry.port });
+    }
+
+    if (entry.port) {
+      await clearPortSquatters(entry.port, project, summary);
+    }
+  }
+
+  updatePersistedProcesses();
+  return summary;
+}
+
 /**
  * Clean up all processes
  */
 async function cleanup() {
   console.log("[Process Manager] Cleaning up all processes...");
 
-  const domains = Array.from(runningProcesses.keys());
+  const domains = new Set([
+    ...runningProcesses.keys(),
+    ...runningInstalls.keys(),
+  ]);
 
   for (const domain of domains) {
     try {
@@ -647,14 +2102,28 @@ async function cleanup() {
 
 module.exports = {
   PROCESS_STATE,
+  processEvents,
+  resolveDevCommand,
+  resolveProjectNode,
+  buildDevServerEnv,
+  installProjectDependencies,
   startDevServer,
   stopDevServer,
+  ensureDevServer,
+  checkDependencyGraph,
   restartDevServer,
+  setProcessMode,
+  releaseManualMode,
+  clearCrashState,
   updateLastAccess,
+  recordRequest,
   getProcessInfo,
   getAllProcesses,
+  getProcessStats,
   checkIdleProcesses,
+  pickEvictionCandidate,
   startIdleCheck,
+  reconcileProcesses,
   cleanup,
   allocatePort,
   isPortAvailable,
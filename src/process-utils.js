@@ -0,0 +1,586 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const IS_LINUX = process.platform === "linux";
+
+/**
+ * Run a command and return its stdout, or null if it fails
+ */
+function tryExec(command, args) {
+  try {
+    return execFileSync(command, args, {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if a process exists
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Get the full command line of a process
+ * @param {number} pid - Process ID
+ * @returns {string|null} Command line or null if unavailable
+ */
+function getProcessCommand(pid) {
+  if (IS_LINUX) {
+    try {
+      return fs
+        .readFileSync(`/proc/${pid}/cmdline`, "utf8")
+        .split("\0")
+        .filter(Boolean)
+        .join(" ");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const output = tryExec("ps", ["-o", "command=", "-p", String(pid)]);
+  return output ? output.trim() : null;
+}
+
+/**
+ * Get the working directory of a process
+ * @param {number} pid - Process ID
+ * @returns {string|null} Working directory or null if unavailable
+ */
+function getProcessCwd(pid) {
+  if (IS_LINUX) {
+    try {
+      return fs.readlinkSync(`/proc/${pid}/cwd`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const output = tryExec("lsof", ["-a", "-p", String(pid), "-d", "cwd", "-Fn"]);
+  const line = output && output.split("\n").find((l) => l.startsWith("n"));
+  return line ? line.slice(1) : null;
+}
+
+/**
+ * Split a command string into argv, honouring single and double quotes and
+ * backslash escapes (no other shell syntax)
+ * @param {string} command - Command string (e.g. `node "my server.js"`)
+ * @returns {Array<string>} Arguments
+ * @throws {Error} If a quote is not closed
+ */
+function splitCommand(command) {
+  const args = [];
+  let current = "";
+  let inArg = false;
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === "\\" && i + 1 < command.length) {
+      current += command[++i];
+      inArg = true;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      inArg = true;
+    } else if (/\s/.test(char)) {
+      if (inArg) {
+        args.push(current);
+        current = "";
+        inArg = false;
+      }
+    } else {
+      current += char;
+      inArg = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${command}`);
+  }
+  if (inArg) {
+    args.push(current);
+  }
+  return args;
+}
+
+/**
+ * Quote an argument for a POSIX shell when it contains special characters
+ * @param {string} arg - Argument
+ * @returns {string} Quoted argument
+ */
+function quoteShellArg(arg) {
+  if (/^[A-Za-z0-9_\-.,:/=@%+]+$/.test(arg)) {
+    return arg;
+  }
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Check whether a process command line looks like the command we launched
+ * (interpreters such as `node /usr/bin/npm` are tolerated)
+ * @param {string} actual - Command line of the running process
+ * @param {string} expected - Command we spawned (e.g. "npm run dev")
+ * @returns {boolean} True if the command matches
+ */
+function commandMatches(actual, expected) {
+  if (!actual || !expected) {
+    return false;
+  }
+
+  const [bin, ...args] = expected.split(" ").filter(Boolean);
+  const actualTokens = actual.split(/\s+/);
+  const hasBin = actualTokens.some(
+    (token) => path.basename(token) === path.basename(bin)
+  );
+
+  return hasBin && actual.includes(args.join(" "));
+}
+
+/**
+ * Get parent PIDs for all processes
+ * @returns {Map<number, number>} Map of pid to parent pid
+ */
+function getParentPids() {
+  const parents = new Map();
+
+  if (IS_LINUX) {
+    for (const entry of fs.readdirSync("/proc")) {
+      if (!/^\d+$/.test(entry)) {
+        continue;
+      }
+      try {
+        const stat = fs.readFileSync(`/proc/${entry}/stat`, "utf8");
+        // Fields after the parenthesised command: state ppid ...
+        const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+        parents.set(parseInt(entry), parseInt(fields[1]));
+      } catch (error) {
+        // Process exited while scanning
+      }
+    }
+    return parents;
+  }
+
+  const output = tryExec("ps", ["-A", "-o", "pid=,ppid="]) || "";
+  for (const line of output.split("\n")) {
+    const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+    if (pid) {
+      parents.set(pid, ppid);
+    }
+  }
+  return parents;
+}
+
+/**
+ * Get all descendants of a process (children, grandchildren, ...)
+ * @param {number} pid - Root process ID
+ * @param {Map<number, number>} parents - Result of getParentPids, to share
+ *   one scan of the process table between several trees
+ * @returns {Array<number>} Descendant PIDs
+ */
+function getDescendantPids(pid, parents = getParentPids()) {
+  const children = new Map();
+  for (const [child, parent] of parents.entries()) {
+    if (!children.has(parent)) {
+      children.set(parent, []);
+    }
+    children.get(parent).push(child);
+  }
+
+  const descendants = [];
+  const queue = [pid];
+
+  while (queue.length > 0) {
+    for (const child of children.get(queue.shift()) || []) {
+      if (!descendants.includes(child)) {
+        descendants.push(child);
+        queue.push(child);
+      }
+    }
+  }
+
+  return descendants;
+}
+
+// Clock ticks per second that /proc/<pid>/stat counts CPU time in
+let clockTicks = null;
+
+/**
+ * Get the clock ticks per second (read once)
+ */
+function getClockTicks() {
+  if (clockTicks === null) {
+    clockTicks = parseInt(tryExec("getconf", ["CLK_TCK"])) || 100;
+  }
+  return clockTicks;
+}
+
+/**
+ * Parse a ps cputime ("[[dd-]hh:]mm:ss[.ss]") into seconds
+ */
+function parseCpuTime(value) {
+  const [days, rest] = value.includes("-") ? value.split("-") : [0, value];
+  const seconds = rest
+    .split(":")
+    .reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Number(days) * 86400 + seconds;
+}
+
+/**
+ * Get the resource usage of a process and its descendants
+ * @param {number} pid - Root process ID
+ * @param {Map<number, number>} parents - Result of getParentPids (scanned
+ *   here if not given)
+ * @returns {Object} { cpuSeconds, rss, cpuByPid } - CPU time used so far
+ *   and resident memory in bytes (both 0 if the process is gone), and the
+ *   CPU time of each process in the tree (a Map keyed by pid)
+ */
+function getProcessTreeUsage(pid, parents = getParentPids()) {
+  const pids = [pid, ...getDescendantPids(pid, parents)];
+  const usage = { cpuSeconds: 0, rss: 0, cpuByPid: new Map() };
+
+  if (IS_LINUX) {
+    for (const entry of pids) {
+      try {
+        const stat = fs.readFileSync(`/proc/${entry}/stat`, "utf8");
+        // Fields after the parenthesised command start at state (field 3);
+        // utime and stime are fields 14 and 15
+        const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+        const cpuSeconds =
+          (parseInt(fields[11]) + parseInt(fields[12])) / getClockTicks();
+        usage.cpuSeconds += cpuSeconds;
+        usage.cpuByPid.set(entry, cpuSeconds);
+
+        const status = fs.readFileSync(`/proc/${entry}/status`, "utf8");
+        const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+        if (match) {
+          usage.rss += parseInt(match[1]) * 1024;
+        }
+      } catch (error) {
+        // Process exited while measuring
+      }
+    }
+    return usage;
+  }
+
+  const output =
+    tryExec("ps", ["-o", "pid=,time=,rss=", "-p", pids.join(",")]) || "";
+  for (const line of output.split("\n")) {
+    const [entry, time, rss] = line.trim().split(/\s+/);
+    if (time && rss) {
+      const cpuSeconds = parseCpuTime(time);
+      usage.cpuSeconds += cpuSeconds;
+      usage.cpuByPid.set(parseInt(entry), cpuSeconds);
+      usage.rss += parseInt(rss) * 1024;
+    }
+  }
+  return usage;
+}
+
+/**
+ * Get the ports of all sockets in LISTEN state, keyed by inode (Linux)
+ */
+function getListeningSockets() {
+  const sockets = new Map();
+
+  for (const file of ["/proc/net/tcp", "/proc/net/tcp6"]) {
+    let content;
+    try {
+      content = fs.readFileSync(file, "utf8");
+    } catch (error) {
+      continue;
+    }
+
+    for (const line of content.split("\n").slice(1)) {
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 10 || fields[3] !== "0A") {
+        continue;
+      }
+      sockets.set(fields[9], parseInt(fields[1].split(":")[1], 16));
+    }
+  }
+
+  return sockets;
+}
+
+/**
+ * Get socket inodes in LISTEN state for a port (Linux)
+ */
+function getListeningInodes(port) {
+  const inodes = new Set();
+  for (const [inode, localPort] of getListeningSockets()) {
+    if (localPort === port) {
+      inodes.add(inode);
+    }
+  }
+  return inodes;
+}
+
+/**
+ * Find the TCP ports a set of processes listen on
+ * @param {Array<number>} pids - Process IDs
+ * @returns {Array<number>} Listening ports, ascending
+ */
+function getListeningPorts(pids) {
+  const ports = new Set();
+
+  if (!IS_LINUX) {
+    const output = tryExec("lsof", [
+      "-nP",
+      "-a",
+      `-p${pids.join(",")}`,
+      "-iTCP",
+      "-sTCP:LISTEN",
+      "-Fn",
+    ]);
+    for (const line of (output || "").split("\n")) {
+      const match = /^n.*:(\d+)$/.exec(line);
+      if (match) {
+        ports.add(parseInt(match[1]));
+      }
+    }
+    return [...ports].sort((a, b) => a - b);
+  }
+
+  const sockets = getListeningSockets();
+  for (const pid of pids) {
+    let fds;
+    try {
+      fds = fs.readdirSync(`/proc/${pid}/fd`);
+    } catch (error) {
+      continue;
+    }
+    for (const fd of fds) {
+      try {
+        const match = /^socket:\[(\d+)\]$/.exec(
+          fs.readlinkSync(`/proc/${pid}/fd/${fd}`)
+        );
+        if (match && sockets.has(match[1])) {
+          ports.add(sockets.get(match[1]));
+        }
+      } catch (error) {
+        // fd closed while scanning
+      }
+    }
+  }
+
+  return [...ports].sort((a, b) => a - b);
+}
+
+/**
+ * Find the processes listening on a TCP port
+ * @param {number} port - Port number
+ * @returns {Array<number>} PIDs with a listening socket on the port
+ */
+function getPortListeners(port) {
+  if (!IS_LINUX) {
+    const output = tryExec("lsof", [
+      "-nP",
+      `-iTCP:${port}`,
+      "-sTCP:LISTEN",
+      "-t",
+    ]);
+    return output
+      ? [...new Set(output.split("\n").filter(Boolean).map(Number))]
+      : [];
+  }
+
+  const inodes = getListeningInodes(port);
+  if (inodes.size === 0) {
+    return [];
+  }
+
+  const pids = [];
+  for (const entry of fs.readdirSync("/proc")) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+    let fds;
+    try {
+      fds = fs.readdirSync(`/proc/${entry}/fd`);
+    } catch (error) {
+      continue;
+    }
+    for (const fd of fds) {
+      try {
+        const link = fs.readlinkSync(`/proc/${entry}/fd/${fd}`);
+        const match = /^socket:\[(\d+)\]$/.exec(link);
+        if (match && inodes.has(match[1])) {
+          pids.push(parseInt(entry));
+          break;
+        }
+      } catch (error) {
+        // fd closed while scanning
+      }
+    }
+  }
+
+  return pids;
+}
+
+/**
+ * Wait for a process to exit
+ * @param {number} pid - Process ID
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} True if the process exited in time
+ */
+async function waitForProcessExit(pid, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (isProcessAlive(pid)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  return true;
+}
+
+/**
+ * Send a signal to a process group and to each listed process
+ */
+function signalProcesses(groupPid, pids, signal) {
+  // Managed servers are spawned detached, so their PID is also the group ID
+  try {
+    process.kill(-groupPid, signal);
+  } catch (error) {
+    // Not a group leader, or the group is already gone
+  }
+
+  for (const pid of pids) {
+    try {
+      process.kill(pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Terminate a process and all of its descendants: SIGTERM first, then
+ * SIGKILL for anything still alive after the grace period
+ * @param {number} pid - Root process ID (and process group ID)
+ * @param {number} timeoutMs - Grace period before SIGKILL (0 = kill at once)
+ * @returns {Promise<Array<number>>} PIDs still alive afterwards
+ */
+async function killProcessTree(pid, timeoutMs = 10000) {
+  const pids = [pid, ...getDescendantPids(pid)];
+
+  if (process.platform === "win32") {
+    tryExec("taskkill", ["/pid", String(pid), "/T", "/F"]);
+    return pids.filter(isProcessAlive);
+  }
+
+  if (timeoutMs > 0) {
+    signalProcesses(pid, pids, "SIGTERM");
+
+    const deadline = Date.now() + timeoutMs;
+    for (const target of pids) {
+      await waitForProcessExit(target, Math.max(0, deadline - Date.now()));
+    }
+  }
+
+  // Include anything spawned after the snapshot
+  const survivors = [...new Set([...pids, ...getDescendantPids(pid)])].filter(
+    isProcessAlive
+  );
+  if (survivors.length > 0 || timeoutMs === 0) {
+    signalProcesses(pid, survivors, "SIGKILL");
+    for (const target of survivors) {
+      await waitForProcessExit(target, 2000);
+    }
+  }
+
+  return survivors.filter(isProcessAlive);
+}
+
+/**
+ * Check if a path is inside a directory
+ * @param {string} child - Path to check
+ * @param {string} parent - Directory
+ * @returns {boolean} True if child is parent or inside it
+ */
+function isPathInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return (
+    relative === "" ||
+    (!relative.startsWith("..") && !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Check that a path, with symlinks resolved, is inside a project directory
+ * (a symlink in the project may point anywhere)
+ * @param {string} projectPath - Project directory
+ * @param {string} target - Absolute path (need not exist yet)
+ * @returns {boolean} True if it is the directory or inside it
+ */
+function isInsideProject(projectPath, target) {
+  let root;
+  let resolved;
+  try {
+    root = fs.realpathSync(projectPath);
+    resolved = fs.existsSync(target)
+      ? fs.realpathSync(target)
+      : path.join(fs.realpathSync(path.dirname(target)), path.basename(target));
+  } catch (error) {
+    return false;
+  }
+  const relative = path.relative(root, resolved);
+  return (
+    relative === "" ||
+    (!relative.startsWith(`..${path.sep}`) &&
+      relative !== ".." &&
+      !path.isAbsolute(relative))
+  );
+}
+
+module.exports = {
+  tryExec,
+  isProcessAlive,
+  getProcessCommand,
+  getProcessCwd,
+  splitCommand,
+  quoteShellArg,
+  commandMatches,
+  getParentPids,
+  getDescendantPids,
+  parseCpuTime,
+  getProcessTreeUsage,
+  getPortListeners,
+  getListeningPorts,
+  waitForProcessExit,
+  killProcessTree,
+  isPathInside,
+  isInsideProject,
+};
@@ -1,15 +1,83 @@
 const fs = require("fs");
 const path = require("path");
+const { spawnSync } = require("child_process");
 const { CONFIG_DIR, validateNextiumDomain } = require("./config");
+const { PROBE_TYPES } = require("./readiness");
+const { ENV_NAME_PATTERN } = require("./env-file");
+const { FRAMEWORKS, getExecCommand } = require("./frameworks");
+const {
+  SERVICE_NAME_PATTERN,
+  PROCFILE_MAIN,
+  getProjectServices,
+  toServiceProject,
+} = require("./services");
+const {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  buildRunCommand,
+  buildExecCommand,
+} = require("./package-manager");
+const {
+  resolveConfigUser,
+  applyUserEnv,
+  getSpawnIdentity,
+} = require("./run-as");
 
 const PROJECTS_REGISTRY = path.join(CONFIG_DIR, "projects.json");
 
+// Fields that only take effect when the dev server is (re)started
+const CONFIG_RESTART_FIELDS = [
+  "port",
+  "command",
+  "shell",
+  "cwd",
+  "env",
+  "envFile",
+  "devFlags",
+  "framework",
+  "packageManager",
+  "node",
+  "user",
+  "procfile",
+  "services",
+  "writeEnvFile",
+];
+
+// Validated nextium.config.js per project path, reused until the file changes
+const projectConfigCache = new Map();
+
+// Whether lookups evaluate a changed nextium.config.js themselves; the
+// daemon only evaluates from its config watchers (see
+// useWatchedProjectConfigs)
+let evaluateConfigOnLookup = true;
+
+// Run by `node -e` as the project's owner: prints the config as JSON on
+// stdout (the config's own output goes to stderr), with RegExp values
+// (readiness.pattern) tagged so they survive
+const CONFIG_LOADER = `
+const fs = require("fs");
+process.stdout.write = process.stderr.write.bind(process.stderr);
+let output;
+try {
+  output = { config: require(process.argv[1]) };
+} catch (error) {
+  output = { error: error.message };
+}
+fs.writeSync(1, JSON.stringify(output, (key, value) =>
+  value instanceof RegExp ? { $regexp: value.source, flags: value.flags } : value
+));
+`;
+
+// How long evaluating a nextium.config.js may take
+const CONFIG_LOAD_TIMEOUT_MS = 10000;
+
 /**
  * Default project configuration
  */
-function getDefaultProjectConfig(domain) {
+function getDefaultProjectConfig(domain, framework) {
   return {
     domain: domain,
+    framework: framework, // Framework preset key (see src/frameworks.js); detected when omitted
     port: "auto",
     devFlags: [], // Additional flags to pass to dev command (e.g., ['--turbo', '--experimental-https'])
     idle: {
@@ -18,6 +86,71 @@ function getDefaultProjectConfig(domain) {
   };
 }
 
+/**
+ * Default handling of requests that arrive while a dev server cold-starts
+ */
+const DEFAULT_COLD_START_CONFIG = {
+  holdNavigation: false, // true = hold page loads too instead of showing the loading page
+  timeoutMs: 60000, // How long a held request waits for the server
+  maxQueued: 100, // Held requests per project before new ones get a 503
+  maxBodyBytes: 10 * 1024 * 1024, // Largest request body buffered while waiting
+  installTimeoutMs: 600000, // Longest a dependency install may run (0 = no limit)
+};
+
+/**
+ * Default policy for restarting managed dev servers that exit on their own
+ */
+const DEFAULT_RESTART_CONFIG = {
+  policy: "on-failure", // "never", "on-failure" (non-zero exit or signal) or "always"
+  maxRetries: 5, // Consecutive restarts before the project is marked crashed
+  backoffMs: 1000, // Delay before the first restart, doubled for each retry
+  maxBackoffMs: 30000, // Upper bound for the delay
+};
+
+const RESTART_POLICIES = ["never", "on-failure", "always"];
+
+/**
+ * Default restart-on-change behaviour for running dev servers
+ */
+const DEFAULT_WATCH_CONFIG = {
+  files: null, // Files that trigger a restart, relative to cwd (null = framework defaults)
+  debounceMs: 1000, // Quiet period after the last change before restarting
+  install: false, // Install dependencies first when the lockfile changes
+};
+
+/**
+ * Get a project's cold start settings with defaults applied
+ * @param {Object} config - Project configuration
+ * @returns {Object} Cold start settings
+ */
+function getColdStartConfig(config) {
+  return {
+    ...DEFAULT_COLD_START_CONFIG,
+    ...((config && config.coldStart) || {}),
+  };
+}
+
+/**
+ * Get a project's restart policy with defaults applied
+ * @param {Object} config - Project configuration
+ * @returns {Object} Restart settings
+ */
+function getRestartConfig(config) {
+  return { ...DEFAULT_RESTART_CONFIG, ...((config && config.restart) || {}) };
+}
+
+/**
+ * Get a project's watch settings with defaults applied
+ * @param {Object} config - Project configuration
+ * @returns {Object|null} Watch settings, or null if watching is disabled
+ */
+function getWatchConfig(config) {
+  if (config && config.watch === false) {
+    return null;
+  }
+  return { ...DEFAULT_WATCH_CONFIG, ...((config && config.watch) || {}) };
+}
+
 /**
  * Ensure projects registry exists
  */
@@ -92,9 +225,12 @@ function isNextJsProject(projectPath) {
 }
 
 /**
- * Read nextium.config.js from a project directory
+ * Read nextium.config.js from a project directory. The file is code: a
+ * daemon running as root evaluates it in a child process running as the
+ * project's owner (see resolveConfigUser), never in its own process.
  * @param {string} projectPath - Path to project directory
  * @returns {Object|null} Configuration object or null if not found
+ * @throws {Error} If the file fails to load
  */
 function readProjectConfig(projectPath) {
   const configPath = path.join(projectPath, "nextium.config.js");
@@ -103,6 +239,11 @@ function readProjectConfig(projectPath) {
     return null;
   }
 
+  const user = resolveConfigUser(projectPath);
+  if (user) {
+    return evaluateProjectConfig(configPath, user);
+  }
+
   try {
     // Clear require cache to get fresh config
     delete require.cache[require.resolve(configPath)];
@@ -113,6 +254,56 @@ function readProjectConfig(projectPath) {
   }
 }
 
+/**
+ * Evaluate nextium.config.js in a child process running as a user
+ * @param {string} configPath - Path to nextium.config.js
+ * @param {Object} user - Result of resolveConfigUser
+ * @returns {Object} Configuration object
+ * @throws {Error} If the file fails to load or takes too long
+ */
+function evaluateProjectConfig(configPath, user) {
+  const result = spawnSync(
+    process.execPath,
+    ["-e", CONFIG_LOADER, configPath],
+    {
+      cwd: path.dirname(configPath),
+      env: applyUserEnv({ PATH: process.env.PATH || "" }, user),
+      ...getSpawnIdentity(user),
+      encoding: "utf8",
+      timeout: CONFIG_LOAD_TIMEOUT_MS,
+      stdio: ["ignore", "pipe", "pipe"],
+    }
+  );
+
+  if (result.error) {
+    const reason =
+      result.error.code === "ETIMEDOUT"
+        ? `took longer than ${CONFIG_LOAD_TIMEOUT_MS / 1000}s to load`
+        : result.error.message;
+    throw new Error(`Error reading nextium.config.js: ${reason}`);
+  }
+
+  let output;
+  try {
+    output = JSON.parse(result.stdout, (key, value) =>
+      value && typeof value.$regexp === "string"
+        ? new RegExp(value.$regexp, value.flags)
+        : value
+    );
+  } catch (error) {
+    const stderr = result.stderr.trim().split("\n");
+    throw new Error(
+      `Error reading nextium.config.js: ${
+        stderr[stderr.length - 1] || `exit code ${result.status}`
+      }`
+    );
+  }
+  if (output.error) {
+    throw new Error(`Error reading nextium.config.js: ${output.error}`);
+  }
+  return output.config;
+}
+
 /**
  * Write nextium.config.js to a project directory
  * @param {string} projectPath - Path to project directory
@@ -136,6 +327,85 @@ function writeProjectConfig(projectPath, config) {
   }
 }
 
+/**
+ * Load and validate a project's nextium.config.js, cached until the file
+ * changes
+ * @param {string} projectPath - Path to project directory
+ * @returns {Object} { config, error } - config is null if missing or invalid
+ */
+function loadProjectConfigFile(projectPath) {
+  let stat;
+  try {
+    stat = fs.statSync(path.join(projectPath, "nextium.config.js"));
+  } catch (error) {
+    return { config: null, error: "nextium.config.js not found" };
+  }
+
+  const cached = projectConfigCache.get(projectPath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return { config: cached.config, error: cached.error };
+  }
+
+  let result;
+  try {
+    const config = readProjectConfig(projectPath);
+    try {
+      validateProjectConfig(config);
+    } catch (error) {
+      throw new Error(`Invalid nextium.config.js: ${error.message}`);
+    }
+    result = { config, error: null };
+  } catch (error) {
+    result = { config: null, error: error.message };
+  }
+
+  projectConfigCache.set(projectPath, {
+    ...result,
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+  });
+  return result;
+}
+
+/**
+ * Stop evaluating nextium.config.js on lookups: getProject() and
+ * getAllProjects() use the result of the last loadProjectConfigFile() for
+ * the project (or the registry copy until there is one). The daemon calls
+ * this and evaluates the files from its config watchers, so proxied
+ * requests and idle checks never run project code.
+ */
+function useWatchedProjectConfigs() {
+  evaluateConfigOnLookup = false;
+}
+
+/**
+ * Apply a project's nextium.config.js to its registry entry. The file is
+ * the source of truth; while it is missing or invalid the last valid config
+ * (the registry copy) is used and the problem is reported as configError.
+ * @param {string} domain - Project domain
+ * @param {Object} entry - Registry entry
+ * @returns {Object} Project info
+ */
+function withProjectConfigFile(domain, entry) {
+  const { config, error } = evaluateConfigOnLookup
+    ? loadProjectConfigFile(entry.path)
+    : projectConfigCache.get(entry.path) || {};
+
+  if (!config && !error) {
+    return entry; // Not evaluated yet
+  }
+  if (error) {
+    return { ...entry, configError: error };
+  }
+  if (config.domain !== domain) {
+    return {
+      ...entry,
+      configError: `nextium.config.js: domain was changed to ${config.domain}; run nextium create again to register the new domain`,
+    };
+  }
+  return { ...entry, config };
+}
+
 /**
  * Validate project configuration
  * @param {Object} config - Configuration to validate
@@ -164,6 +434,99 @@ function validateProjectConfig(config) {
     throw new Error("Port must be between 1 and 65535");
   }
 
+  // Validate framework preset
+  if (config.framework !== undefined && !FRAMEWORKS[config.framework]) {
+    throw new Error(
+      `framework must be one of: ${Object.keys(FRAMEWORKS).join(", ")}`
+    );
+  }
+
+  // Validate custom command
+  if (config.command !== undefined) {
+    validateCommandConfig(config.command, "command");
+  }
+  if (config.shell !== undefined && typeof config.shell !== "boolean") {
+    throw new Error("shell must be a boolean");
+  }
+  if (
+    config.autoInstall !== undefined &&
+    typeof config.autoInstall !== "boolean"
+  ) {
+    throw new Error("autoInstall must be a boolean");
+  }
+  if (
+    config.restartOnConfigChange !== undefined &&
+    typeof config.restartOnConfigChange !== "boolean"
+  ) {
+    throw new Error("restartOnConfigChange must be a boolean");
+  }
+
+  // Validate working directory
+  if (
+    config.cwd !== undefined &&
+    (typeof config.cwd !== "string" || config.cwd.trim() === "")
+  ) {
+    throw new Error("cwd must be a non-empty path (relative to the project)");
+  }
+  if (config.cwd !== undefined && !isRelativeInside(config.cwd)) {
+    throw new Error("cwd must be a path inside the project");
+  }
+
+  // Validate environment
+  if (config.env !== undefined) {
+    validateEnvConfig(config.env, "env");
+  }
+  if (config.envFile !== undefined) {
+    const files = [].concat(config.envFile);
+    if (
+      files.length === 0 ||
+      files.some((file) => typeof file !== "string" || file.trim() === "")
+    ) {
+      throw new Error("envFile must be a path or an array of paths");
+    }
+    if (files.some((file) => !isRelativeInside(file))) {
+      throw new Error("envFile must be inside the project");
+    }
+  }
+  if (
+    config.writeEnvFile !== undefined &&
+    typeof config.writeEnvFile !== "boolean"
+  ) {
+    throw new Error("writeEnvFile must be a boolean");
+  }
+
+  // Validate package manager override
+  if (
+    config.packageManager !== undefined &&
+    !PACKAGE_MANAGERS[config.packageManager]
+  ) {
+    throw new Error(
+      `packageManager must be one of: ${Object.keys(PACKAGE_MANAGERS).join(
+        ", "
+      )}`
+    );
+  }
+
+  // Validate Node.js version
+  if (
+    config.node !== undefined &&
+    !(typeof config.node === "string" && config.node.trim() !== "") &&
+    !(typeof config.node === "number" && config.node > 0)
+  ) {
+    throw new Error(
+      'node must be a version or range (e.g. "20", "^18.17" or "lts/iron")'
+    );
+  }
+
+  // Validate the user to run as
+  if (
+    config.user !== undefined &&
+    !(typeof config.user === "string" && config.user.trim() !== "") &&
+    !(Number.isInteger(config.user) && config.user >= 0)
+  ) {
+    throw new Error("user must be a user name or a numeric uid");
+  }
+
   // Validate idle timeout
   if (config.idle) {
     if (typeof config.idle !== "object") {
@@ -177,9 +540,369 @@ function validateProjectConfig(config) {
     }
   }
 
+  // Validate the memory ceiling
+  if (config.limits !== undefined) {
+    if (
+      !config.limits ||
+      typeof config.limits !== "object" ||
+      Array.isArray(config.limits)
+    ) {
+      throw new Error("limits must be an object");
+    }
+    if (
+      config.limits.maxRssMb !== undefined &&
+      !(Number.isInteger(config.limits.maxRssMb) && config.limits.maxRssMb > 0)
+    ) {
+      throw new Error("limits.maxRssMb must be a positive integer (megabytes)");
+    }
+  }
+
+  // Validate cold start request handling
+  if (config.coldStart !== undefined) {
+    if (!config.coldStart || typeof config.coldStart !== "object") {
+      throw new Error("coldStart must be an object");
+    }
+    if (
+      config.coldStart.holdNavigation !== undefined &&
+      typeof config.coldStart.holdNavigation !== "boolean"
+    ) {
+      throw new Error("coldStart.holdNavigation must be a boolean");
+    }
+    for (const key of [
+      "timeoutMs",
+      "maxQueued",
+      "maxBodyBytes",
+      "installTimeoutMs",
+    ]) {
+      const value = config.coldStart[key];
+      if (value !== undefined && (typeof value !== "number" || value < 0)) {
+        throw new Error(`coldStart.${key} must be a number >= 0`);
+      }
+    }
+  }
+
+  // Validate crash restart policy
+  if (config.restart !== undefined) {
+    if (!config.restart || typeof config.restart !== "object") {
+      throw new Error("restart must be an object");
+    }
+    if (
+      config.restart.policy !== undefined &&
+      !RESTART_POLICIES.includes(config.restart.policy)
+    ) {
+      throw new Error(
+        `restart.policy must be one of: ${RESTART_POLICIES.join(", ")}`
+      );
+    }
+    for (const key of ["maxRetries", "backoffMs", "maxBackoffMs"]) {
+      const value = config.restart[key];
+      if (value !== undefined && (typeof value !== "number" || value < 0)) {
+        throw new Error(`restart.${key} must be a number >= 0`);
+      }
+    }
+  }
+
+  // Validate restart-on-change watch list
+  if (config.watch !== undefined && config.watch !== false) {
+    if (!config.watch || typeof config.watch !== "object") {
+      throw new Error("watch must be an object or false");
+    }
+    if (config.watch.files !== undefined) {
+      if (
+        !Array.isArray(config.watch.files) ||
+        config.watch.files.some(
+          (file) => typeof file !== "string" || file.trim() === ""
+        )
+      ) {
+        throw new Error("watch.files must be an array of paths");
+      }
+      if (config.watch.files.some((file) => path.dirname(file).includes("*"))) {
+        throw new Error(
+          "watch.files: wildcards are only allowed in file names"
+        );
+      }
+    }
+    if (
+      config.watch.debounceMs !== undefined &&
+      (typeof config.watch.debounceMs !== "number" ||
+        config.watch.debounceMs < 0)
+    ) {
+      throw new Error("watch.debounceMs must be a number >= 0");
+    }
+    if (
+      config.watch.install !== undefined &&
+      typeof config.watch.install !== "boolean"
+    ) {
+      throw new Error("watch.install must be a boolean");
+    }
+  }
+
+  // Validate readiness probe
+  if (config.readiness !== undefined) {
+    validateReadinessConfig(config.readiness);
+  }
+
+  // Validate dependencies
+  if (config.dependsOn !== undefined) {
+    validateDependsOnConfig(config.dependsOn, config.domain, "dependsOn");
+  }
+
+  // Validate sub-services
+  if (
+    config.procfile !== undefined &&
+    config.procfile !== true &&
+    (typeof config.procfile !== "string" || config.procfile.trim() === "")
+  ) {
+    throw new Error("procfile must be true or a path to a Procfile");
+  }
+  if (
+    typeof config.procfile === "string" &&
+    !isRelativeInside(config.procfile)
+  ) {
+    throw new Error("procfile must be inside the project");
+  }
+  if (config.services !== undefined) {
+    validateServicesConfig(config.services, config);
+  }
+
   return true;
 }
 
+/**
+ * Check that a configured path is relative and does not leave the project
+ * directory ("../x" and "/etc" do not)
+ * @param {string} file - Path from nextium.config.js
+ * @returns {boolean} True if it stays inside
+ */
+function isRelativeInside(file) {
+  const normalized = path.normalize(file);
+  return (
+    !path.isAbsolute(normalized) &&
+    normalized !== ".." &&
+    !normalized.startsWith(`..${path.sep}`)
+  );
+}
+
+/**
+ * Validate a command (a string, or an argv array)
+ * @param {string|Array<string>} command - Command
+ * @param {string} label - Field name for error messages
+ * @throws {Error} If the command is invalid
+ */
+function validateCommandConfig(command, label) {
+  const valid = Array.isArray(command)
+    ? command.length > 0 &&
+      command.every((arg) => typeof arg === "string") &&
+      command[0].trim() !== ""
+    : typeof command === "string" && command.trim() !== "";
+  if (!valid) {
+    throw new Error(
+      `${label} must be a non-empty string or an array of strings (argv)`
+    );
+  }
+}
+
+/**
+ * Validate environment variables
+ * @param {Object} env - Variables keyed by name
+ * @param {string} label - Field name for error messages
+ * @throws {Error} If a name or value is invalid
+ */
+function validateEnvConfig(env, label) {
+  if (!env || typeof env !== "object" || Array.isArray(env)) {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const [name, value] of Object.entries(env)) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      throw new Error(`${label}: invalid variable name "${name}"`);
+    }
+    if (!["string", "number", "boolean"].includes(typeof value)) {
+      throw new Error(`${label}.${name} must be a string, number or boolean`);
+    }
+  }
+}
+
+/**
+ * Validate a dependency list
+ * @param {Array<string>} dependsOn - Domains (or service keys) to start first
+ * @param {string} domain - Domain of the project or service declaring them
+ * @param {string} label - Field name for error messages
+ * @throws {Error} If an entry is not a domain, or the list names itself
+ */
+function validateDependsOnConfig(dependsOn, domain, label) {
+  if (!Array.isArray(dependsOn)) {
+    throw new Error(`${label} must be an array of project domains`);
+  }
+  for (const dependency of dependsOn) {
+    if (typeof dependency !== "string") {
+      throw new Error(`${label} must be an array of project domains`);
+    }
+    try {
+      validateNextiumDomain(dependency);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message.split("\n")[0]}`);
+    }
+    if (dependency === domain) {
+      throw new Error(`${label}: a project cannot depend on itself`);
+    }
+  }
+}
+
+/**
+ * Validate named sub-services
+ * @param {Object} services - Services keyed by name
+ * @param {Object} config - Project configuration they belong to
+ * @throws {Error} If a service is invalid
+ */
+function validateServicesConfig(services, config) {
+  if (!services || typeof services !== "object" || Array.isArray(services)) {
+    throw new Error("services must be an object keyed by service name");
+  }
+
+  for (const [name, service] of Object.entries(services)) {
+    const label = `services.${name}`;
+    if (!SERVICE_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `${label}: names may only contain lowercase letters, numbers and hyphens`
+      );
+    }
+    if (name === PROCFILE_MAIN) {
+      throw new Error(
+        `${label}: "${PROCFILE_MAIN}" is the project's own dev server; use command instead`
+      );
+    }
+    if (!service || typeof service !== "object" || Array.isArray(service)) {
+      throw new Error(`${label} must be an object`);
+    }
+
+    if (service.command !== undefined) {
+      validateCommandConfig(service.command, `${label}.command`);
+    } else if (!config.procfile) {
+      throw new Error(`${label}.command is required`);
+    }
+    if (
+      service.port !== undefined &&
+      service.port !== "auto" &&
+      !(
+        Number.isInteger(service.port) &&
+        service.port >= 1 &&
+        service.port <= 65535
+      )
+    ) {
+      throw new Error(`${label}.port must be "auto" or a number (1-65535)`);
+    }
+    if (
+      service.subdomain !== undefined &&
+      typeof service.subdomain !== "boolean"
+    ) {
+      throw new Error(`${label}.subdomain must be a boolean`);
+    }
+    if (service.subdomain && service.port === undefined) {
+      throw new Error(`${label}.subdomain needs a port to proxy to`);
+    }
+    if (service.shell !== undefined && typeof service.shell !== "boolean") {
+      throw new Error(`${label}.shell must be a boolean`);
+    }
+    if (
+      service.cwd !== undefined &&
+      (typeof service.cwd !== "string" || service.cwd.trim() === "")
+    ) {
+      throw new Error(`${label}.cwd must be a non-empty path`);
+    }
+    if (service.cwd !== undefined && !isRelativeInside(service.cwd)) {
+      throw new Error(`${label}.cwd must be a path inside the project`);
+    }
+    if (service.env !== undefined) {
+      validateEnvConfig(service.env, `${label}.env`);
+    }
+    if (service.dependsOn !== undefined) {
+      validateDependsOnConfig(
+        service.dependsOn,
+        `${name}.${config.domain}`,
+        `${label}.dependsOn`
+      );
+    }
+    if (service.readiness !== undefined) {
+      try {
+        validateReadinessConfig(service.readiness);
+      } catch (error) {
+        throw new Error(`${label}.${error.message}`);
+      }
+      // A probe without a type is "auto", which probes the port too
+      const type = service.readiness.type || "auto";
+      if (
+        ["tcp", "http", "auto"].includes(type) &&
+        service.port === undefined
+      ) {
+        throw new Error(
+          `${label}.readiness: ${type} probes need a port (use type "log" to wait for a pattern)`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Validate a readiness probe configuration
+ * @param {Object} readiness - Probe configuration
+ * @throws {Error} If the probe configuration is invalid
+ */
+function validateReadinessConfig(readiness) {
+  if (!readiness || typeof readiness !== "object") {
+    throw new Error("readiness must be an object");
+  }
+
+  const type = readiness.type || "auto";
+  if (!PROBE_TYPES.includes(type)) {
+    throw new Error(`readiness.type must be one of: ${PROBE_TYPES.join(", ")}`);
+  }
+
+  if (type === "http") {
+    if (
+      readiness.path !== undefined &&
+      (typeof readiness.path !== "string" || !readiness.path.startsWith("/"))
+    ) {
+      throw new Error('readiness.path must be a path starting with "/"');
+    }
+    const statuses = [].concat(
+      readiness.status === undefined ? [] : readiness.status
+    );
+    if (statuses.some((status) => !Number.isInteger(status))) {
+      throw new Error("readiness.status must be a status code or an array");
+    }
+  }
+
+  if (readiness.pattern !== undefined) {
+    for (const pattern of [].concat(readiness.pattern)) {
+      if (pattern instanceof RegExp) {
+        continue;
+      }
+      if (typeof pattern !== "string") {
+        throw new Error("readiness.pattern must be a string or an array");
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid readiness.pattern: ${error.message}`);
+      }
+    }
+  }
+
+  if (
+    type === "script" &&
+    (typeof readiness.command !== "string" || !readiness.command.trim())
+  ) {
+    throw new Error("readiness.command is required for script probes");
+  }
+
+  for (const key of ["timeoutMs", "intervalMs"]) {
+    const value = readiness[key];
+    if (value !== undefined && (typeof value !== "number" || value <= 0)) {
+      throw new Error(`readiness.${key} must be a number > 0`);
+    }
+  }
+}
+
 /**
  * Register a project in the global registry
  * @param {string} domain - Project domain
@@ -218,22 +941,60 @@ function unregisterProject(domain) {
 }
 
 /**
- * Get a project from the registry
- * @param {string} domain - Project domain
+ * Get a project from the registry, with the config from its
+ * nextium.config.js. Sub-service keys ("api.myapp.nextium.local") resolve to
+ * the project entry the service runs as.
+ * @param {string} domain - Project domain or service key
  * @returns {Object|null} Project info or null if not found
  */
 function getProject(domain) {
   const registry = loadProjectsRegistry();
-  return registry.projects[domain] || null;
+  const entry = registry.projects[domain];
+  return entry
+    ? withProjectConfigFile(domain, entry)
+    : findServiceProject(registry, domain);
+}
+
+/**
+ * Find a sub-service by its key ("<name>.<project domain>")
+ * @param {Object} registry - Projects registry
+ * @param {string} key - Service key
+ * @returns {Object|null} Project info for the service (with parent and
+ *   service set) or null if there is no such service
+ */
+function findServiceProject(registry, key) {
+  for (const [domain, entry] of Object.entries(registry.projects || {})) {
+    if (!key.endsWith(`.${domain}`)) {
+      continue;
+    }
+
+    const project = withProjectConfigFile(domain, entry);
+    let services;
+    try {
+      services = getProjectServices(project);
+    } catch (error) {
+      return null;
+    }
+    const service = services.find((candidate) => candidate.key === key);
+    if (service) {
+      return toServiceProject(domain, project, service);
+    }
+  }
+  return null;
 }
 
 /**
- * Get all registered projects
+ * Get all registered projects, with the configs from their
+ * nextium.config.js
  * @returns {Object} All projects keyed by domain
  */
 function getAllProjects() {
   const registry = loadProjectsRegistry();
-  return registry.projects || {};
+  const projects = {};
+  for (const [domain, entry] of Object.entries(registry.projects || {})) {
+    projects[domain] = withProjectConfigFile(domain, entry);
+  }
+  return projects;
 }
 
 /**
@@ -263,49 +1024,56 @@ function getPackageJson(projectPath) {
   }
 }
 
+/**
+ * Get the directory a project's dev server runs in (config.cwd, relative
+ * to the project)
+ * @param {Object} project - Project from registry
+ * @returns {string} Absolute path
+ */
+function getProjectCwd(project) {
+  const cwd = project.config && project.config.cwd;
+  return cwd ? path.resolve(project.path, cwd) : project.path;
+}
+
 /**
  * Detect the dev command for a project
  * @param {string} projectPath - Path to project
- * @returns {string} Dev command (defaults to 'npm run dev')
+ * @param {Array<string>} additionalFlags - Flags to pass to the dev server
+ * @param {Object} options - { framework, packageManager }
+ *   framework: preset whose preferred scripts are tried first and whose
+ *   binary is run when none exist; packageManager: explicit override
+ * @returns {string} Dev command (defaults to '<package manager> run dev')
  */
-function detectDevCommand(projectPath, additionalFlags = []) {
+function detectDevCommand(projectPath, additionalFlags = [], options = {}) {
+  const { framework } = options;
   const pkg = getPackageJson(projectPath);
-
-  if (!pkg || !pkg.scripts) {
-    return buildCommand("npm run dev", additionalFlags);
-  }
+  const scripts = (pkg && pkg.scripts) || {};
+  const packageManager = detectPackageManager(projectPath, {
+    override: options.packageManager,
+    pkg,
+  });
 
   // Check for common dev script names
-  if (pkg.scripts.dev) {
-    return buildCommand("npm run dev", additionalFlags);
-  }
-  if (pkg.scripts.start) {
-    return buildCommand("npm start", additionalFlags);
-  }
-  if (pkg.scripts.develop) {
-    return buildCommand("npm run develop", additionalFlags);
-  }
+  const candidates = framework
+    ? framework.scripts
+    : ["dev", "start", "develop"];
+  const script = candidates.find((name) => scripts[name]);
 
-  return buildCommand("npm run dev", additionalFlags); // Default
-}
-
-/**
- * Build command with additional flags
- * @param {string} baseCommand - Base command
- * @param {Array<string>} flags - Additional flags
- * @returns {string} Complete command
- */
-function buildCommand(baseCommand, flags = []) {
-  if (!flags || flags.length === 0) {
-    return baseCommand;
+  if (script) {
+    return buildRunCommand(packageManager, script, additionalFlags);
   }
-
-  // If using npm, add -- separator before flags
-  if (baseCommand.startsWith("npm ")) {
-    return `${baseCommand} -- ${flags.join(" ")}`;
+  if (framework && framework.command) {
+    return [framework.command(pkg), ...additionalFlags].join(" ");
+  }
+  if (framework) {
+    return buildExecCommand(
+      packageManager,
+      getExecCommand(framework, projectPath),
+      additionalFlags
+    );
   }
 
-  return `${baseCommand} ${flags.join(" ")}`;
+  return buildRunCommand(packageManager, "dev", additionalFlags); // Default
 }
 
 /**
@@ -334,11 +1102,17 @@ function suggestDomainName(projectPath) {
 
 module.exports = {
   PROJECTS_REGISTRY,
+  CONFIG_RESTART_FIELDS,
   getDefaultProjectConfig,
+  getColdStartConfig,
+  getRestartConfig,
+  getWatchConfig,
   loadProjectsRegistry,
   saveProjectsRegistry,
   isNextJsProject,
   readProjectConfig,
+  loadProjectConfigFile,
+  useWatchedProjectConfigs,
   writeProjectConfig,
   validateProjectConfig,
   registerProject,
@@ -347,6 +1121,7 @@ module.exports = {
   getAllProjects,
   isDomainRegistered,
   getPackageJson,
+  getProjectCwd,
   detectDevCommand,
   suggestDomainName,
 };
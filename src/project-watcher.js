@@ -0,0 +1,234 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  getProject,
+  getProjectCwd,
+  getWatchConfig,
+  getPackageJson,
+} = require("./project-config");
+const { resolveFramework } = require("./frameworks");
+const { detectPackageManager } = require("./package-manager");
+const {
+  processEvents,
+  getProcessInfo,
+  restartDevServer,
+  buildDevServerEnv,
+  installProjectDependencies,
+} = require("./process-manager");
+const { resolveRunAsUser } = require("./run-as");
+const { createLogWriter } = require("./logs");
+
+// Watchers for running projects, keyed by domain
+const projectWatchers = new Map();
+
+/**
+ * Turn an absolute path with "*" wildcards in its file name into a RegExp
+ */
+function toMatcher(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/\\\\]*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Start watching a project's watch list, replacing any previous watchers
+ * @param {string} domain - Project domain
+ */
+function watchProject(domain) {
+  unwatchProject(domain);
+
+  const project = getProject(domain);
+  const watch = project && getWatchConfig(project.config);
+  if (!watch) {
+    return;
+  }
+
+  const cwd = getProjectCwd(project);
+  const framework = resolveFramework(cwd, project.config);
+  const packageManager = detectPackageManager(cwd, {
+    override: project.config.packageManager,
+    pkg: getPackageJson(cwd),
+  });
+
+  const files = (watch.files || framework.watch).map((file) =>
+    path.resolve(cwd, file)
+  );
+  if (packageManager.lockfile) {
+    files.push(packageManager.lockfile);
+  }
+
+  const state = {
+    cwd,
+    packageManager,
+    watchers: [],
+    timer: null,
+    changed: new Set(),
+    busy: false,
+  };
+
+  const patternsByDir = new Map();
+  for (const file of files) {
+    const dir = path.dirname(file);
+    patternsByDir.set(dir, [...(patternsByDir.get(dir) || []), file]);
+  }
+
+  for (const [dir, patterns] of patternsByDir) {
+    const matchers = patterns.map(toMatcher);
+    try {
+      // Watch directories: editors and package managers replace files
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+        const file = path.join(dir, filename.toString());
+        if (matchers.some((matcher) => matcher.test(file))) {
+          handleChange(domain, state, file, watch.debounceMs);
+        }
+      });
+      watcher.on("error", () => watcher.close());
+      state.watchers.push(watcher);
+    } catch (error) {
+      // Directory does not exist (yet) - nothing to watch there
+    }
+  }
+
+  projectWatchers.set(domain, state);
+}
+
+/**
+ * Stop watching a project
+ * @param {string} domain - Project domain
+ */
+function unwatchProject(domain) {
+  const state = projectWatchers.get(domain);
+  if (!state) {
+    return;
+  }
+
+  clearTimeout(state.timer);
+  for (const watcher of state.watchers) {
+    watcher.close();
+  }
+  projectWatchers.delete(domain);
+}
+
+/**
+ * Collect a changed file and restart once changes settle
+ */
+function handleChange(domain, state, file, debounceMs) {
+  if (state.busy) {
+    return;
+  }
+
+  state.changed.add(file);
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    restartForChanges(domain, state);
+  }, debounceMs);
+}
+
+/**
+ * Restart a running project after watched files changed, installing
+ * dependencies first if the lockfile changed and the project opted in
+ * @param {string} domain - Project domain
+ * @param {Object} state - Watcher state
+ */
+async function restartForChanges(domain, state) {
+  const files = [...state.changed];
+  state.changed.clear();
+
+  // Only managed servers that are up; manual ones belong to a terminal
+  const processInfo = getProcessInfo(domain);
+  const project = getProject(domain);
+  if (
+    !project ||
+    !processInfo ||
+    processInfo.state !== "running" ||
+    processInfo.mode !== "managed"
+  ) {
+    return;
+  }
+
+  const watch = getWatchConfig(project.config) || {};
+  const names = files.map((file) => path.relative(state.cwd, file));
+  const logWriter = createLogWriter(domain);
+  state.busy = true;
+
+  try {
+    const { lockfile } = state.packageManager;
+    if (watch.install && lockfile && files.includes(lockfile)) {
+      logWriter.system(
+        `${path.relative(
+          state.cwd,
+          lockfile
+        )} changed, installing dependencies (${state.packageManager.name})`
+      );
+      const user = resolveRunAsUser(project);
+      await installProjectDependencies(
+        domain,
+        project,
+        state.cwd,
+        state.packageManager,
+        {
+          env: buildDevServerEnv(project, null, user),
+          user,
+          onOutput: (stream, chunk) => logWriter.write(stream, chunk),
+        }
+      );
+    }
+
+    console.log(
+      `[Project Watcher] Restarting ${domain}: ${names.join(", ")} changed`
+    );
+    logWriter.system(`Restarting: ${names.join(", ")} changed`);
+    // Without watch.install, a lockfile change must not install on restart
+    await restartDevServer(domain, { skipInstall: !watch.install });
+  } catch (error) {
+    console.warn(
+      `[Project Watcher] Restart of ${domain} after a file change failed: ${error.message}`
+    );
+    logWriter.system(`Restart after file change failed: ${error.message}`);
+  } finally {
+    logWriter.close();
+    state.busy = false;
+  }
+}
+
+/**
+ * Watch projects while their dev servers run (call before servers are
+ * started or adopted)
+ */
+function startProjectWatchers() {
+  processEvents.on("ready", watchProject);
+  processEvents.on("exit", unwatchProject);
+}
+
+/**
+ * Stop all project watchers
+ */
+function stopProjectWatchers() {
+  processEvents.off("ready", watchProject);
+  processEvents.off("exit", unwatchProject);
+  for (const domain of [...projectWatchers.keys()]) {
+    unwatchProject(domain);
+  }
+}
+
+/**
+ * Re-read a watched project's watch list (after its config changed)
+ * @param {string} domain - Project domain
+ */
+function refreshProjectWatcher(domain) {
+  if (projectWatchers.has(domain)) {
+    watchProject(domain);
+  }
+}
+
+module.exports = {
+  startProjectWatchers,
+  stopProjectWatchers,
+  refreshProjectWatcher,
+};
@@ -3,6 +3,7 @@ const https = require("https");
 const httpProxy = require("http-proxy");
 const fs = require("fs");
 const process = require("process");
+const { PassThrough } = require("stream");
 const { getAllMappings, CONFIG_FILE } = require("./config");
 const {
   loadCertificates,
@@ -10,23 +11,82 @@ const {
   isMkcertInstalled,
   isMkcertCAInstalled,
 } = require("./certificates");
-const { getProject, getAllProjects } = require("./project-config");
 const {
+  PROJECTS_REGISTRY,
+  CONFIG_RESTART_FIELDS,
+  loadProjectsRegistry,
+  saveProjectsRegistry,
+  loadProjectConfigFile,
+  useWatchedProjectConfigs,
+  getProject,
+  getAllProjects,
+  getColdStartConfig,
+  getProjectCwd,
+} = require("./project-config");
+const { resolveFramework, isHmrRequest } = require("./frameworks");
+const { findPortConflicts } = require("./ports");
+const {
+  processEvents,
   getProcessInfo,
-  startDevServer,
+  ensureDevServer,
+  restartDevServer,
+  clearCrashState,
   updateLastAccess,
+  recordRequest,
   startIdleCheck,
+  reconcileProcesses,
   cleanup,
 } = require("./process-manager");
+const {
+  STARTUP_PHASE,
+  startupEvents,
+  getStartupProgress,
+} = require("./startup-progress");
+const { createLogWriter, readLogs } = require("./logs");
+const {
+  startProjectWatchers,
+  stopProjectWatchers,
+  refreshProjectWatcher,
+} = require("./project-watcher");
+const {
+  CONTROL_SOCKET,
+  startControlServer,
+  stopControlServer,
+} = require("./control");
 
 // Rate limiting storage
 const requestCounts = new Map();
 
+// Open upgraded (WebSocket) client sockets, keyed by hostname
+const upgradeSockets = new Map();
+
+// Minimum interval between activity updates from WebSocket traffic
+const WS_ACTIVITY_THROTTLE_MS = 5000;
+
+// Number of requests held during a cold start, keyed by hostname
+const heldRequestCounts = new Map();
+
+// Retry-After (seconds) for requests that cannot wait for a cold start
+const COLD_START_RETRY_AFTER = 5;
+
+// Reserved paths on every project domain: startup progress (SSE) and
+// restarting a crashed dev server
+const STARTUP_EVENTS_PATH = "/__nextium/startup";
+const RESTART_PATH = "/__nextium/restart";
+
+// Comment sent periodically so idle SSE connections stay open
+const SSE_KEEPALIVE_MS = 15000;
+
 // Config watching variables
 let configWatcher = null;
 let watchDebounceTimer = null;
 let currentDomains = [];
 
+// nextium.config.js watchers and their debounce timers, keyed by domain
+let registryWatcher = null;
+const projectConfigWatchers = new Map();
+const projectConfigTimers = new Map();
+
 /**
  * Log structured message
  */
@@ -149,6 +209,201 @@ function handleConfigChange() {
   }
 }
 
+/**
+ * Watch every registered project's nextium.config.js, and the registry so
+ * projects created or removed later are picked up. From here on the files
+ * are only evaluated when they change, not on every lookup.
+ */
+function setupProjectConfigWatchers() {
+  useWatchedProjectConfigs();
+  syncProjectConfigWatchers();
+
+  try {
+    registryWatcher = fs.watch(PROJECTS_REGISTRY, () =>
+      syncProjectConfigWatchers()
+    );
+  } catch (error) {
+    log("warn", "Failed to watch projects registry", { error: error.message });
+  }
+}
+
+/**
+ * Start and stop nextium.config.js watchers to match the registry
+ */
+function syncProjectConfigWatchers() {
+  const projects = loadProjectsRegistry().projects || {};
+
+  for (const [domain, watcher] of projectConfigWatchers) {
+    if (!projects[domain]) {
+      watcher.close();
+      projectConfigWatchers.delete(domain);
+    }
+  }
+
+  for (const [domain, project] of Object.entries(projects)) {
+    if (projectConfigWatchers.has(domain)) {
+      continue;
+    }
+
+    // Evaluate it once; its errors show up when the project is looked up
+    loadProjectConfigFile(project.path);
+
+    try {
+      // Watch the directory: editors often replace the file on save
+      const watcher = fs.watch(project.path, (eventType, filename) => {
+        if (filename !== "nextium.config.js") {
+          return;
+        }
+        clearTimeout(projectConfigTimers.get(domain));
+        projectConfigTimers.set(
+          domain,
+          setTimeout(() => {
+            projectConfigTimers.delete(domain);
+            handleProjectConfigChange(domain);
+          }, 500)
+        );
+      });
+      watcher.on("error", () => {
+        watcher.close();
+        projectConfigWatchers.delete(domain);
+      });
+      projectConfigWatchers.set(domain, watcher);
+    } catch (error) {
+      log("warn", `Failed to watch nextium.config.js for ${domain}`, {
+        hostname: domain,
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Stop watching project configs
+ */
+function closeProjectConfigWatchers() {
+  if (registryWatcher) {
+    registryWatcher.close();
+  }
+  for (const watcher of projectConfigWatchers.values()) {
+    watcher.close();
+  }
+  for (const timer of projectConfigTimers.values()) {
+    clearTimeout(timer);
+  }
+  projectConfigWatchers.clear();
+  projectConfigTimers.clear();
+}
+
+/**
+ * Handle an edit to a project's nextium.config.js: keep the registry copy
+ * (the last valid config) in sync, and restart the dev server if a field
+ * that only applies at start changed and the project opted in
+ */
+async function handleProjectConfigChange(domain) {
+  const current = loadProjectsRegistry().projects[domain];
+  if (!current) {
+    return;
+  }
+  loadProjectConfigFile(current.path);
+
+  const project = getProject(domain);
+  if (!project) {
+    return;
+  }
+
+  if (project.configError) {
+    log("error", `Invalid nextium.config.js for ${domain}`, {
+      hostname: domain,
+      error: project.configError,
+    });
+    const logWriter = createLogWriter(domain);
+    logWriter.system(
+      `nextium.config.js not applied (keeping the last valid config): ${project.configError}`
+    );
+    logWriter.close();
+    return;
+  }
+
+  const registry = loadProjectsRegistry();
+  const entry = registry.projects[domain];
+  if (!entry) {
+    return;
+  }
+
+  const previous = entry.config || {};
+  const changed = [
+    ...new Set([...Object.keys(previous), ...Object.keys(project.config)]),
+  ].filter(
+    (key) =>
+      JSON.stringify(previous[key]) !== JSON.stringify(project.config[key])
+  );
+  if (changed.length === 0) {
+    return;
+  }
+
+  entry.config = project.config;
+  saveProjectsRegistry(registry);
+
+  const restartFields = changed.filter((key) =>
+    CONFIG_RESTART_FIELDS.includes(key)
+  );
+  log("info", `Reloaded nextium.config.js for ${domain}`, {
+    hostname: domain,
+    changed,
+  });
+  if (changed.includes("watch")) {
+    refreshProjectWatcher(domain);
+  }
+  if (changed.includes("port") && typeof project.config.port === "number") {
+    const conflicts = findPortConflicts(domain, project.config.port);
+    if (conflicts.length > 0) {
+      log("warn", `Port ${project.config.port} of ${domain} is also used`, {
+        hostname: domain,
+        usedBy: conflicts.map((conflict) => conflict.owner),
+      });
+    }
+  }
+
+  const processInfo = getLiveProcessInfo(domain);
+  if (
+    restartFields.length === 0 ||
+    !processInfo ||
+    processInfo.mode !== "managed" ||
+    !isServing(processInfo)
+  ) {
+    return;
+  }
+
+  const logWriter = createLogWriter(domain);
+  if (!project.config.restartOnConfigChange) {
+    logWriter.system(
+      `nextium.config.js changed (${restartFields.join(
+        ", "
+      )}); restart to apply: nextium restart ${domain}`
+    );
+    logWriter.close();
+    return;
+  }
+
+  logWriter.system(
+    `Restarting: nextium.config.js changed (${restartFields.join(", ")})`
+  );
+  logWriter.close();
+  log("info", `Restarting ${domain} after config change`, {
+    hostname: domain,
+    changed: restartFields,
+  });
+
+  try {
+    await restartDevServer(domain);
+  } catch (error) {
+    log("error", `Failed to restart ${domain} after config change`, {
+      hostname: domain,
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Setup signal handlers for graceful shutdown and reload
  */
@@ -162,6 +417,9 @@ function setupSignalHandlers(servers, idleCheckInterval) {
     if (configWatcher) {
       configWatcher.close();
     }
+    closeProjectConfigWatchers();
+    stopProjectWatchers();
+    stopControlServer();
     await cleanup();
     servers.forEach((server) => server.close());
     process.exit(0);
@@ -176,6 +434,9 @@ function setupSignalHandlers(servers, idleCheckInterval) {
     if (configWatcher) {
       configWatcher.close();
     }
+    closeProjectConfigWatchers();
+    stopProjectWatchers();
+    stopControlServer();
     await cleanup();
     servers.forEach((server) => server.close());
     process.exit(0);
@@ -189,17 +450,412 @@ function setupSignalHandlers(servers, idleCheckInterval) {
 }
 
 /**
- * Show loading page while server is starting
+ * Get the project a hostname is served by: a registered project, or a
+ * sub-service that is exposed on a subdomain
+ * @param {string} hostname - Requested hostname
+ * @returns {Object|null} Project info or null
+ */
+function getRoutedProject(hostname) {
+  const project = getProject(hostname);
+  if (project && project.parent && !project.config.subdomain) {
+    return null;
+  }
+  return project;
+}
+
+/**
+ * Get process info for a hostname, verifying the process is still alive
+ * @param {string} hostname - Project domain
+ * @returns {Object|null} Process info or null if not running
+ */
+function getLiveProcessInfo(hostname) {
+  const processInfo = getProcessInfo(hostname);
+
+  log("debug", `Checking process for ${hostname}`, {
+    hostname,
+    hasProcessInfo: !!processInfo,
+    state: processInfo?.state,
+    pid: processInfo?.pid,
+    port: processInfo?.port,
+  });
+
+  // Verify process is actually running if we have process info
+  if (processInfo && processInfo.pid) {
+    try {
+      // Check if process is still running by sending signal 0 (doesn't kill, just checks)
+      process.kill(processInfo.pid, 0);
+      log("debug", `Process ${processInfo.pid} for ${hostname} is running`, {
+        hostname,
+        pid: processInfo.pid,
+        port: processInfo.port,
+      });
+    } catch (error) {
+      // Process doesn't exist, treat as stopped
+      log(
+        "info",
+        `Process ${processInfo.pid} for ${hostname} is no longer running`,
+        { hostname, pid: processInfo.pid }
+      );
+      return null;
+    }
+  }
+
+  return processInfo;
+}
+
+/**
+ * Check if a process is ready to receive traffic
+ */
+function isServing(processInfo) {
+  return (
+    !!processInfo &&
+    (processInfo.state === "running" || processInfo.state === "manual")
+  );
+}
+
+/**
+ * Check if a request is a browser page navigation (gets the loading page)
+ */
+function isNavigationRequest(req) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return false;
+  }
+  if (req.headers["sec-fetch-mode"]) {
+    return req.headers["sec-fetch-mode"] === "navigate";
+  }
+  return (req.headers.accept || "").includes("text/html");
+}
+
+/**
+ * Wait for a dev server to be ready, starting it if needed.
+ * Concurrent callers share the same start.
+ * @param {string} hostname - Project domain
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<Object>} Process info
+ */
+function waitForDevServer(hostname, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(
+        new Error(
+          `Timed out after ${Math.round(
+            timeoutMs / 1000
+          )}s waiting for the dev server to start`
+        )
+      );
+    }, timeoutMs);
+  });
+
+  return Promise.race([ensureDevServer(hostname), timeout]).finally(() =>
+    clearTimeout(timer)
+  );
+}
+
+/**
+ * Read a request body into memory so the request can be replayed later
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} maxBytes - Largest body to buffer
+ * @returns {Promise<Buffer>} Request body
+ */
+function bufferRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners("data");
+        req.resume();
+        reject(
+          new Error(
+            `Request body exceeds ${maxBytes} bytes and cannot be held during startup`
+          )
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.once("end", () => resolve(Buffer.concat(chunks)));
+    req.once("error", reject);
+  });
+}
+
+/**
+ * Hold a request until its dev server is ready: buffers the body while the
+ * server starts, within the project's queue and body limits
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} hostname - Project domain
+ * @param {Promise<Object>} starting - Pending start from waitForDevServer
+ * @param {Object} coldStart - Cold start settings
+ * @returns {Promise<Object>} { processInfo, body }
+ */
+async function holdRequest(req, hostname, starting, coldStart) {
+  const held = heldRequestCounts.get(hostname) || 0;
+  if (held >= coldStart.maxQueued) {
+    // Keep the shared start from reporting an unhandled rejection
+    starting.catch(() => {});
+    throw new Error(
+      `Too many requests (${held}) are already waiting for the server to start`
+    );
+  }
+
+  heldRequestCounts.set(hostname, held + 1);
+  try {
+    const [processInfo, body] = await Promise.all([
+      starting,
+      bufferRequestBody(req, coldStart.maxBodyBytes),
+    ]);
+    return { processInfo, body };
+  } finally {
+    const remaining = heldRequestCounts.get(hostname) - 1;
+    if (remaining > 0) {
+      heldRequestCounts.set(hostname, remaining);
+    } else {
+      heldRequestCounts.delete(hostname);
+    }
+  }
+}
+
+/**
+ * Send a 503 for a request that could not be served during a cold start
+ */
+function showStartFailedPage(res, hostname, error) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(503, {
+    "Content-Type": "text/html",
+    "Retry-After": String(COLD_START_RETRY_AFTER),
+  });
+  res.end(`
+    <html>
+      <head><title>503 Service Unavailable</title></head>
+      <body>
+        <h1>503 Service Unavailable</h1>
+        <p>Development server for <strong>${hostname}</strong> is not available</p>
+        <p>Error: ${escapeHtml(error.message)}</p>
+        ${
+          error.output
+            ? `<pre>${escapeHtml(
+                error.output.split("\n").slice(-40).join("\n")
+              )}</pre>`
+            : ""
+        }
+        <p>Check logs with: <code>nextium logs ${hostname}</code></p>
+      </body>
+    </html>
+  `);
+}
+
+/**
+ * Stream a project's startup progress as Server-Sent Events. Sends a
+ * snapshot first, then phase, output and failed events, and a final ready
+ * event once the server is serving.
+ */
+function streamStartupProgress(req, res, hostname) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  if (isServing(getLiveProcessInfo(hostname))) {
+    send("ready", {});
+    res.end();
+    return;
+  }
+
+  // A finished start belongs to an earlier run; the next one is on its way
+  const processInfo = getProcessInfo(hostname);
+  let progress = getStartupProgress(hostname);
+  if (processInfo && processInfo.state === "crashed") {
+    progress = {
+      phase: STARTUP_PHASE.FAILED,
+      error: `Crashed ${processInfo.crashCount} time(s) in a row`,
+      exitCode: processInfo.lastExit ? processInfo.lastExit.code : null,
+      exitSignal: processInfo.lastExit ? processInfo.lastExit.signal : null,
+      output: readLogs(hostname, { lines: 40 }),
+    };
+  } else if (!progress || progress.phase === STARTUP_PHASE.READY) {
+    progress = { phase: STARTUP_PHASE.SPAWN, output: [] };
+  }
+  send("snapshot", progress);
+  if (progress.phase === STARTUP_PHASE.FAILED) {
+    res.end();
+    return;
+  }
+
+  const keepAlive = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    SSE_KEEPALIVE_MS
+  );
+
+  const onUpdate = (domain, event) => {
+    if (domain !== hostname) {
+      return;
+    }
+    if (event.type === "phase" && event.phase === STARTUP_PHASE.READY) {
+      send("ready", {});
+      res.end();
+      return;
+    }
+    send(event.type, event);
+    if (event.type === "failed") {
+      res.end();
+    }
+  };
+
+  const unsubscribe = () => {
+    clearInterval(keepAlive);
+    startupEvents.off("update", onUpdate);
+  };
+
+  startupEvents.on("update", onUpdate);
+  res.once("close", unsubscribe);
+  res.once("finish", unsubscribe);
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Show the crash page for a project that crashed too often to be restarted
+ * automatically, with its recent output and a restart button
+ */
+function showCrashPage(res, hostname, processInfo) {
+  const lastExit = processInfo.lastExit || {};
+  const exitText = lastExit.signal
+    ? `signal ${lastExit.signal}`
+    : `code ${lastExit.code}`;
+  const output = readLogs(hostname, { lines: 40 })
+    .map((entry) => escapeHtml(entry.text))
+    .join("\n");
+
+  res.writeHead(503, {
+    "Content-Type": "text/html",
+    "Cache-Control": "no-store",
+  });
+  res.end(`
+    <html>
+      <head>
+        <title>${hostname} crashed</title>
+        <style>
+          body {
+            font-family: system-ui, -apple-system, sans-serif;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            background: linear-gradient(135deg, #cb2d3e 0%, #6f1d1b 100%);
+            color: white;
+          }
+          .container {
+            text-align: center;
+            padding: 2rem;
+            width: min(900px, 90vw);
+          }
+          h1 { margin: 0 0 1rem; font-size: 2rem; }
+          p { margin: 0.5rem 0; opacity: 0.9; }
+          code {
+            background: rgba(0, 0, 0, 0.2);
+            padding: 0.2rem 0.5rem;
+            border-radius: 3px;
+          }
+          pre {
+            text-align: left;
+            background: rgba(0, 0, 0, 0.35);
+            border-radius: 6px;
+            padding: 1rem;
+            max-height: 40vh;
+            overflow: auto;
+            font-size: 0.8rem;
+            white-space: pre-wrap;
+            word-break: break-all;
+          }
+          button {
+            margin-top: 1rem;
+            padding: 0.5rem 1.5rem;
+            border: 0;
+            border-radius: 4px;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>Development Server Crashed</h1>
+          <p><code>${hostname}</code></p>
+          <p>Crashed ${
+            processInfo.crashCount
+          } time(s) in a row (last exit: ${escapeHtml(exitText)}).
+          Nextium stopped restarting it automatically.</p>
+          <pre>${output}</pre>
+          <form method="POST" action="${RESTART_PATH}">
+            <button type="submit">Restart</button>
+          </form>
+          <p>Or run <code>nextium restart ${hostname}</code>. Check logs with: <code>nextium logs ${hostname}</code></p>
+        </div>
+      </body>
+    </html>
+  `);
+}
+
+/**
+ * Check that a request was sent by a page of the host it is sent to (the
+ * crash page's restart form), not by another site: browsers send Origin
+ * (or at least Referer) with form posts, and Sec-Fetch-Site when they know
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} True if it is same-origin
+ */
+function isSameOriginRequest(req) {
+  const site = req.headers["sec-fetch-site"];
+  if (site && site !== "same-origin") {
+    return false;
+  }
+
+  const source = req.headers.origin || req.headers.referer;
+  if (!source || source === "null") {
+    return false;
+  }
+  try {
+    return new URL(source).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Show loading page while server is starting. Progress is streamed from
+ * STARTUP_EVENTS_PATH; the page reloads into the app once the server is ready
+ * and shows the output inline if the start fails.
  */
 function showLoadingPage(res, hostname) {
   res.writeHead(200, {
     "Content-Type": "text/html",
-    Refresh: "2", // Auto-refresh every 2 seconds
+    "Cache-Control": "no-store",
   });
   res.end(`
     <html>
       <head>
         <title>Starting ${hostname}...</title>
+        <noscript><meta http-equiv="refresh" content="2"></noscript>
         <style>
           body {
             font-family: system-ui, -apple-system, sans-serif;
@@ -211,9 +867,13 @@ function showLoadingPage(res, hostname) {
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             color: white;
           }
+          body.failed {
+            background: linear-gradient(135deg, #cb2d3e 0%, #6f1d1b 100%);
+          }
           .container {
             text-align: center;
             padding: 2rem;
+            width: min(900px, 90vw);
           }
           .spinner {
             width: 60px;
@@ -224,6 +884,7 @@ function showLoadingPage(res, hostname) {
             animation: spin 1s linear infinite;
             margin: 0 auto 2rem;
           }
+          .failed .spinner { display: none; }
           @keyframes spin {
             to { transform: rotate(360deg); }
           }
@@ -234,18 +895,142 @@ function showLoadingPage(res, hostname) {
             padding: 0.2rem 0.5rem;
             border-radius: 3px;
           }
+          .phases {
+            display: flex;
+            justify-content: center;
+            gap: 1.5rem;
+            margin: 1.5rem 0;
+            padding: 0;
+            list-style: none;
+            font-size: 0.9rem;
+          }
+          .phases li { opacity: 0.4; }
+          .phases li.done { opacity: 0.8; }
+          .phases li.active { opacity: 1; font-weight: bold; }
+          pre {
+            text-align: left;
+            background: rgba(0, 0, 0, 0.35);
+            border-radius: 6px;
+            padding: 1rem;
+            max-height: 40vh;
+            overflow: auto;
+            font-size: 0.8rem;
+            white-space: pre-wrap;
+            word-break: break-all;
+          }
+          pre:empty { display: none; }
+          .stderr { color: #ffb4b4; }
+          button {
+            margin-top: 1rem;
+            padding: 0.5rem 1.5rem;
+            border: 0;
+            border-radius: 4px;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          [hidden] { display: none; }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="spinner"></div>
-          <h1>Starting Development Server</h1>
+          <h1 id="title">Starting Development Server</h1>
           <p><code>${hostname}</code></p>
-          <p>This may take a moment on first start...</p>
+          <ul class="phases" id="phases">
+            <li data-phase="spawn">Spawn</li>
+            <li data-phase="install">Install</li>
+            <li data-phase="compile">Compile</li>
+            <li data-phase="ready">Ready</li>
+          </ul>
+          <p id="status">This may take a moment on first start...</p>
+          <pre id="output"></pre>
+          <div id="failure" hidden>
+            <p>Check logs with: <code>nextium logs ${hostname}</code></p>
+            <button onclick="location.reload()">Try again</button>
+          </div>
           <p style="font-size: 0.9rem; margin-top: 2rem; opacity: 0.7;">
             Powered by Nextium
           </p>
         </div>
+        <script>
+          var phases = ["spawn", "install", "compile", "ready"];
+          var output = document.getElementById("output");
+          var statusLine = document.getElementById("status");
+
+          function setPhase(phase) {
+            var current = phases.indexOf(phase);
+            document.querySelectorAll("#phases li").forEach(function (item) {
+              var index = phases.indexOf(item.dataset.phase);
+              item.className =
+                index < current ? "done" : index === current ? "active" : "";
+            });
+          }
+
+          function addLine(line) {
+            var element = document.createElement("div");
+            element.className = line.stream;
+            element.textContent = line.text;
+            output.appendChild(element);
+            while (output.childNodes.length > 200) {
+              output.removeChild(output.firstChild);
+            }
+            output.scrollTop = output.scrollHeight;
+          }
+
+          function showFailure(details) {
+            document.body.className = "failed";
+            document.getElementById("title").textContent =
+              "Development Server Failed to Start";
+            statusLine.textContent =
+              details.exitSignal
+                ? "Process exited with signal " + details.exitSignal
+                : details.exitCode !== null && details.exitCode !== undefined
+                ? "Process exited with code " + details.exitCode
+                : details.error || "Start failed";
+            output.textContent = "";
+            (details.output || []).forEach(addLine);
+            document.getElementById("failure").hidden = false;
+
+            // The restart policy will try again on its own
+            if (details.nextRestartAt) {
+              var delay = new Date(details.nextRestartAt) - Date.now();
+              statusLine.textContent +=
+                " - restarting in " + Math.max(1, Math.round(delay / 1000)) + "s";
+              setTimeout(function () {
+                location.reload();
+              }, Math.max(0, delay) + 500);
+            }
+          }
+
+          var source = new EventSource("${STARTUP_EVENTS_PATH}");
+          source.addEventListener("snapshot", function (event) {
+            var progress = JSON.parse(event.data);
+            output.textContent = "";
+            if (progress.phase === "failed") {
+              source.close();
+              showFailure(progress);
+              return;
+            }
+            setPhase(progress.phase);
+            progress.output.forEach(addLine);
+          });
+          source.addEventListener("phase", function (event) {
+            setPhase(JSON.parse(event.data).phase);
+          });
+          source.addEventListener("output", function (event) {
+            addLine(JSON.parse(event.data));
+          });
+          source.addEventListener("failed", function (event) {
+            source.close();
+            showFailure(JSON.parse(event.data));
+          });
+          source.addEventListener("ready", function () {
+            source.close();
+            setPhase("ready");
+            statusLine.textContent = "Ready - loading your app...";
+            location.reload();
+          });
+        </script>
       </body>
     </html>
   `);
@@ -280,91 +1065,110 @@ function createRequestHandler(proxy, protocol) {
       }
 
       // Check if this is a Nextium project
-      const project = getProject(hostname);
+      const project = getRoutedProject(hostname);
 
       if (project) {
-        // Process-managed project (Nextium)
-        let processInfo = getProcessInfo(hostname);
-
-        log("debug", `Checking process for ${hostname}`, {
-          hostname,
-          hasProcessInfo: !!processInfo,
-          state: processInfo?.state,
-          pid: processInfo?.pid,
-          port: processInfo?.port,
-        });
+        // Reserved path used by the loading page
+        if (req.url.split("?")[0] === STARTUP_EVENTS_PATH) {
+          streamStartupProgress(req, res, hostname);
+          return;
+        }
 
-        // Verify process is actually running if we have process info
-        if (processInfo && processInfo.pid) {
-          try {
-            // Check if process is still running by sending signal 0 (doesn't kill, just checks)
-            process.kill(processInfo.pid, 0);
-            log(
-              "debug",
-              `Process ${processInfo.pid} for ${hostname} is running`,
-              {
-                hostname,
-                pid: processInfo.pid,
-                port: processInfo.port,
-              }
-            );
-          } catch (error) {
-            // Process doesn't exist, treat as stopped
-            log(
-              "info",
-              `Process ${processInfo.pid} for ${hostname} is no longer running`,
-              { hostname, pid: processInfo.pid }
-            );
-            processInfo = null;
+        // Restart button on the crash page
+        if (req.url.split("?")[0] === RESTART_PATH) {
+          if (req.method !== "POST") {
+            res.writeHead(405, { Allow: "POST" });
+            res.end();
+            return;
+          }
+          if (!isSameOriginRequest(req)) {
+            log("warn", `Cross-site restart request refused for ${hostname}`, {
+              hostname,
+              origin: req.headers.origin || req.headers.referer || null,
+            });
+            res.writeHead(403, { "Content-Type": "text/plain" });
+            res.end("Restart requests must come from the project's own page");
+            return;
           }
+          log(
+            "info",
+            `Restart of crashed dev server requested for ${hostname}`,
+            {
+              hostname,
+            }
+          );
+          clearCrashState(hostname);
+          res.writeHead(303, { Location: "/" });
+          res.end();
+          return;
+        }
+
+        // Process-managed project (Nextium)
+        let processInfo = getLiveProcessInfo(hostname);
+        let heldBody = null;
+
+        // Crash-looping projects are not restarted on every request
+        if (processInfo && processInfo.state === "crashed") {
+          showCrashPage(res, hostname, processInfo);
+          return;
         }
 
-        // If not running or stopped, start it
+        // If not serving yet, start it (or join the start in progress)
         // Note: "manual" state means it was started via `nextium dev` and should be treated as running
-        if (
-          !processInfo ||
-          processInfo.state === "stopped" ||
-          processInfo.state === "stopping"
-        ) {
+        if (!isServing(processInfo)) {
           log("info", `Starting dev server for ${hostname} (HTTP-triggered)`, {
             hostname,
+            method: req.method,
+            url: req.url,
           });
 
-          // Show loading page
-          showLoadingPage(res, hostname);
+          const coldStart = getColdStartConfig(project.config);
+          const starting = waitForDevServer(hostname, coldStart.timeoutMs);
 
+          // Page loads get the loading page and retry on refresh
+          if (!coldStart.holdNavigation && isNavigationRequest(req)) {
+            showLoadingPage(res, hostname);
+            starting.catch((error) => {
+              log("error", `Failed to start dev server for ${hostname}`, {
+                hostname,
+                error: error.message,
+              });
+            });
+            return;
+          }
+
+          // Everything else (assets, fetch, API calls) waits for the server
+          // and is then replayed, body included
           try {
-            // Start the dev server
-            processInfo = await startDevServer(hostname);
-            log("info", `Dev server started for ${hostname}`, {
+            const held = await holdRequest(req, hostname, starting, coldStart);
+            processInfo = held.processInfo;
+            heldBody = held.body;
+            log("info", `Dev server ready for held request to ${hostname}`, {
               hostname,
               port: processInfo.port,
-              pid: processInfo.pid,
+              method: req.method,
+              url: req.url,
             });
           } catch (error) {
-            log("error", `Failed to start dev server for ${hostname}`, {
+            log("warn", `Could not hold request for ${hostname}`, {
               hostname,
+              method: req.method,
+              url: req.url,
               error: error.message,
             });
-            res.writeHead(503, { "Content-Type": "text/html" });
-            res.end(`
-              <html>
-                <head><title>503 Service Unavailable</title></head>
-                <body>
-                  <h1>503 Service Unavailable</h1>
-                  <p>Failed to start development server for: <strong>${hostname}</strong></p>
-                  <p>Error: ${error.message}</p>
-                  <p>Check logs with: <code>nextium logs ${hostname}</code></p>
-                </body>
-              </html>
-            `);
+            showStartFailedPage(res, hostname, error);
+            return;
+          }
+
+          // Client may have given up while the server was starting
+          if (res.destroyed) {
             return;
           }
-          return; // Loading page was sent, will retry on refresh
         }
 
         // Update last access time
         updateLastAccess(hostname);
+        recordRequest(hostname);
 
         // Get port from process info
         const targetPort = processInfo.port;
@@ -403,11 +1207,20 @@ function createRequestHandler(proxy, protocol) {
           }
         );
 
-        proxy.web(req, res, {
+        const proxyOptions = {
           target,
           changeOrigin: true,
           secure: false,
-        });
+        };
+
+        // Replay the body of a request held during a cold start
+        if (heldBody) {
+          const buffer = new PassThrough();
+          buffer.end(heldBody);
+          proxyOptions.buffer = buffer;
+        }
+
+        proxy.web(req, res, proxyOptions);
       } else if (mappings[hostname]) {
         // Legacy static mapping (for backward compatibility)
         const targetPort = mappings[hostname];
@@ -464,12 +1277,222 @@ function createRequestHandler(proxy, protocol) {
   };
 }
 
+/**
+ * Reject an upgrade request with a plain HTTP response and close the socket
+ */
+function rejectUpgrade(socket, statusCode, statusText) {
+  if (socket.writable) {
+    socket.end(
+      `HTTP/1.1 ${statusCode} ${statusText}\r\n` +
+        "Connection: close\r\n" +
+        "Content-Length: 0\r\n\r\n"
+    );
+  }
+  socket.destroy();
+}
+
+/**
+ * Track an upgraded socket so it counts as activity and can be closed
+ * when the project's dev server stops
+ */
+function trackUpgradeSocket(hostname, socket) {
+  if (!upgradeSockets.has(hostname)) {
+    upgradeSockets.set(hostname, new Set());
+  }
+  upgradeSockets.get(hostname).add(socket);
+
+  // Keep the socket paused until http-proxy pipes it to the target,
+  // otherwise frames sent during a cold start would be dropped
+  socket.pause();
+
+  let lastActivity = Date.now();
+  socket.on("data", () => {
+    const now = Date.now();
+    if (now - lastActivity >= WS_ACTIVITY_THROTTLE_MS) {
+      lastActivity = now;
+      updateLastAccess(hostname);
+    }
+  });
+
+  socket.once("close", () => {
+    const sockets = upgradeSockets.get(hostname);
+    if (sockets) {
+      sockets.delete(socket);
+      if (sockets.size === 0) {
+        upgradeSockets.delete(hostname);
+      }
+    }
+  });
+}
+
+/**
+ * Close all upgraded sockets for a hostname
+ */
+function closeUpgradeSockets(hostname) {
+  const sockets = upgradeSockets.get(hostname);
+  if (!sockets) {
+    return;
+  }
+
+  log("info", `Closing ${sockets.size} WebSocket(s) for ${hostname}`, {
+    hostname,
+    count: sockets.size,
+  });
+
+  for (const socket of sockets) {
+    socket.destroy();
+  }
+  upgradeSockets.delete(hostname);
+}
+
+/**
+ * Create upgrade (WebSocket) handler for both HTTP and HTTPS servers
+ */
+function createUpgradeHandler(proxy, protocol) {
+  return async (req, socket, head) => {
+    const hostname = req.headers.host ? req.headers.host.split(":")[0] : "";
+    const mappings = getAllMappings();
+
+    socket.on("error", (error) => {
+      log("debug", "WebSocket client error", {
+        hostname,
+        error: error.message,
+      });
+    });
+
+    if (
+      !hostname ||
+      !(hostname.endsWith(".nextium.local") || mappings[hostname])
+    ) {
+      rejectUpgrade(socket, 404, "Not Found");
+      return;
+    }
+
+    if (!checkRateLimit(hostname)) {
+      rejectUpgrade(socket, 429, "Too Many Requests");
+      return;
+    }
+
+    let targetPort;
+    const project = getRoutedProject(hostname);
+
+    if (project) {
+      let processInfo = getLiveProcessInfo(hostname);
+
+      // A hot reload client reconnecting from an open tab is not a visit;
+      // the next page load starts the server
+      if (
+        !isServing(processInfo) &&
+        isHmrRequest(
+          resolveFramework(getProjectCwd(project), project.config),
+          req
+        )
+      ) {
+        log("debug", `Not starting ${hostname} for an HMR reconnect`, {
+          hostname,
+          url: req.url,
+        });
+        rejectUpgrade(socket, 503, "Service Unavailable");
+        return;
+      }
+
+      if (!isServing(processInfo)) {
+        log(
+          "info",
+          `Starting dev server for ${hostname} (WebSocket-triggered)`,
+          {
+            hostname,
+          }
+        );
+
+        try {
+          processInfo = await waitForDevServer(
+            hostname,
+            getColdStartConfig(project.config).timeoutMs
+          );
+        } catch (error) {
+          log("error", `Failed to start dev server for ${hostname}`, {
+            hostname,
+            error: error.message,
+          });
+          rejectUpgrade(socket, 503, "Service Unavailable");
+          return;
+        }
+
+        // Client may have given up while the server was starting
+        if (socket.destroyed) {
+          return;
+        }
+      }
+
+      updateLastAccess(hostname);
+      recordRequest(hostname);
+      targetPort = processInfo.port;
+    } else if (mappings[hostname]) {
+      targetPort = mappings[hostname];
+    } else {
+      rejectUpgrade(socket, 404, "Not Found");
+      return;
+    }
+
+    if (!targetPort) {
+      rejectUpgrade(socket, 503, "Service Unavailable");
+      return;
+    }
+
+    log(
+      "info",
+      `${protocol} WS ${hostname} -> localhost:${targetPort} ${req.url}`,
+      {
+        protocol,
+        method: "UPGRADE",
+        hostname,
+        targetPort,
+        url: req.url,
+      }
+    );
+
+    trackUpgradeSocket(hostname, socket);
+
+    proxy.ws(req, socket, head, {
+      target: `http://127.0.0.1:${targetPort}`,
+      changeOrigin: true,
+      secure: false,
+    });
+  };
+}
+
 /**
  * Create and start the proxy servers (HTTP and HTTPS)
  */
-function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
+async function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
   const { enableHttps = true } = options;
 
+  // Re-read projects' nextium.config.js when they are edited
+  setupProjectConfigWatchers();
+
+  // Close WebSockets when a project's dev server goes away
+  processEvents.on("exit", (domain) => closeUpgradeSockets(domain));
+
+  // Restart running servers when files in their watch list change
+  startProjectWatchers();
+
+  // Adopt dev servers that survived a daemon restart, drop stale entries.
+  // Done before listening: a request arriving first would cold-start a
+  // second server and leave the persisted one orphaned on its port.
+  try {
+    const reconciled = await reconcileProcesses();
+    log("info", "Reconciled persisted processes", {
+      adopted: reconciled.adopted,
+      removed: reconciled.removed,
+      killed: reconciled.killed,
+    });
+  } catch (error) {
+    log("error", "Failed to reconcile persisted processes", {
+      error: error.message,
+    });
+  }
+
   const proxy = httpProxy.createProxyServer({});
 
   // Handle proxy errors
@@ -478,6 +1501,13 @@ function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
       ? req.headers.host.split(":")[0]
       : "unknown";
     log("error", "Proxy error", { hostname, error: err.message });
+
+    // WebSocket upgrades pass the raw socket instead of a response
+    if (typeof res.writeHead !== "function") {
+      res.destroy();
+      return;
+    }
+
     if (!res.headersSent) {
       res.writeHead(502, { "Content-Type": "text/html" });
       res.end(`
@@ -498,6 +1528,7 @@ function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
 
   // Create HTTP server
   const httpServer = http.createServer(createRequestHandler(proxy, "HTTP"));
+  httpServer.on("upgrade", createUpgradeHandler(proxy, "HTTP"));
 
   const httpPromise = new Promise((resolve, reject) => {
     httpServer.on("error", (err) => {
@@ -543,6 +1574,7 @@ function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
           },
           createRequestHandler(proxy, "HTTPS")
         );
+        httpsServer.on("upgrade", createUpgradeHandler(proxy, "HTTPS"));
 
         const httpsPromise = new Promise((resolve, reject) => {
           httpsServer.on("error", (err) => {
@@ -580,7 +1612,7 @@ function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
     }
   }
 
-  return Promise.all(promises).then(() => {
+  return Promise.all(promises).then(async () => {
     const mappings = getAllMappings();
     const projects = getAllProjects();
     const mappingCount = Object.keys(mappings).length;
@@ -633,6 +1665,18 @@ function startProxyServer(httpPort = 80, httpsPort = 443, options = {}) {
     // Setup config file watcher for automatic cert regeneration
     setupConfigWatcher();
 
+    // Serve CLI control requests (start/stop/restart/status/logs)
+    try {
+      await startControlServer();
+      log("info", "Control socket listening", { socket: CONTROL_SOCKET });
+    } catch (error) {
+      log("error", "Failed to start control socket", { error: error.message });
+      console.error(
+        "Warning: CLI commands cannot reach this daemon:",
+        error.message
+      );
+    }
+
     // Start idle process checker
     const idleCheckInterval = startIdleCheck();
     log("info", "Idle process checker started", { intervalMs: 30000 });
@@ -0,0 +1,334 @@
+const net = require("net");
+const http = require("http");
+const { spawn } = require("child_process");
+const { getSpawnIdentity } = require("./run-as");
+const { getDescendantPids, getListeningPorts } = require("./process-utils");
+
+// Probe types: "auto" is ready on the first of a default log line or an
+// open port
+const PROBE_TYPES = ["auto", "tcp", "http", "log", "script"];
+
+// Output that signals a dev server is ready (log and auto probes)
+const DEFAULT_READY_PATTERNS = [
+  /ready on/i,
+  /started server on/i,
+  /local:/i,
+  /listening on/i,
+  /ready in/i,
+];
+
+// Output announcing where a dev server listens ("Local: http://localhost:5174/",
+// "Server listening on port 3000")
+const ANNOUNCED_PORT_PATTERNS = [
+  /\bhttps?:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1?\]):(\d{2,5})\b/i,
+  /\b(?:listening|running|started|serving)\b.*?\bport:?\s+(\d{2,5})\b/i,
+];
+
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+
+// Upper bound for a single tcp/http/script attempt
+const ATTEMPT_TIMEOUT_MS = 5000;
+
+/**
+ * Try to open a TCP connection to a local port
+ * @param {number} port - Port to connect to
+ * @param {number} timeoutMs - Attempt timeout
+ * @returns {Promise<boolean>} True if the connection was accepted
+ */
+function probeTcp(port, timeoutMs) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: "127.0.0.1", port });
+    socket.setTimeout(timeoutMs);
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("timeout", () => {
+      socket.destroy();
+      resolve(false);
+    });
+    socket.once("error", () => resolve(false));
+  });
+}
+
+/**
+ * Check if an HTTP status matches the expected status(es)
+ * @param {number} status - Response status
+ * @param {number|Array<number>|undefined} expected - Expected status(es);
+ *   any status below 500 when not set
+ * @returns {boolean} True if it matches
+ */
+function statusMatches(status, expected) {
+  if (expected === undefined) {
+    return status < 500;
+  }
+  return Array.isArray(expected)
+    ? expected.includes(status)
+    : status === expected;
+}
+
+/**
+ * Send an HTTP GET to a local port and check the response status
+ * @param {number} port - Port to request
+ * @param {string} requestPath - Path to request
+ * @param {number|Array<number>} expected - Expected status(es)
+ * @param {number} timeoutMs - Attempt timeout
+ * @returns {Promise<boolean>} True if the status matched
+ */
+function probeHttp(port, requestPath, expected, timeoutMs) {
+  return new Promise((resolve) => {
+    const req = http.get(
+      { host: "127.0.0.1", port, path: requestPath, timeout: timeoutMs },
+      (res) => {
+        res.resume();
+        resolve(statusMatches(res.statusCode, expected));
+      }
+    );
+    req.once("timeout", () => {
+      req.destroy();
+      resolve(false);
+    });
+    req.once("error", () => resolve(false));
+  });
+}
+
+/**
+ * Run a readiness script; exit code 0 means ready
+ * @param {string} command - Shell command
+ * @param {Object} options - { cwd, env, user }
+ * @param {number} timeoutMs - Attempt timeout
+ * @returns {Promise<boolean>} True if the script succeeded
+ */
+function probeScript(command, options, timeoutMs) {
+  return new Promise((resolve) => {
+    let child;
+    try {
+      child = spawn(command, {
+        cwd: options.cwd,
+        env: options.env,
+        ...getSpawnIdentity(options.user),
+        shell: true,
+        stdio: "ignore",
+      });
+    } catch (error) {
+      resolve(false);
+      return;
+    }
+
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+    child.once("error", () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      resolve(code === 0);
+    });
+  });
+}
+
+/**
+ * Find the port a dev server announces in its output
+ * @param {string} text - Output
+ * @returns {number|null} Announced port or null
+ */
+function parseAnnouncedPort(text) {
+  const plain = text.replace(ANSI_PATTERN, "");
+  for (const pattern of ANNOUNCED_PORT_PATTERNS) {
+    const match = pattern.exec(plain);
+    if (match) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out which port a dev server really listens on: the allocated port
+ * if its process tree listens there, else the announced port, else the
+ * lowest port the tree listens on
+ * @param {Object} childProcess - Spawned dev server
+ * @param {number} allocatedPort - Port it was told to use
+ * @param {number|null} announcedPort - Port it announced in its output
+ * @returns {number} Port to proxy to
+ */
+function discoverPort(childProcess, allocatedPort, announcedPort) {
+  const listening = getListeningPorts([
+    childProcess.pid,
+    ...getDescendantPids(childProcess.pid),
+  ]);
+
+  if (listening.includes(allocatedPort)) {
+    return allocatedPort;
+  }
+  if (listening.length === 0) {
+    return announcedPort || allocatedPort;
+  }
+  return announcedPort && listening.includes(announcedPort)
+    ? announcedPort
+    : listening[0];
+}
+
+/**
+ * Turn configured patterns (strings or RegExps) into RegExps
+ */
+function toPatterns(patterns) {
+  return []
+    .concat(patterns)
+    .map((pattern) =>
+      pattern instanceof RegExp ? pattern : new RegExp(pattern, "i")
+    );
+}
+
+/**
+ * Wait until a dev server is ready according to its readiness probe
+ * @param {Object} childProcess - Spawned dev server
+ * @param {Object} options - { port, cwd, env, user, readiness, patterns }
+ *   `readiness` is the project's probe config ({ type, path, status,
+ *   pattern, command, timeoutMs, intervalMs }); `patterns` are the default
+ *   ready patterns for log/auto probes. Servers that do not listen on
+ *   `port` (they ignored it, or it was busy) are found by the port they
+ *   announce or the ports their processes listen on.
+ * @returns {Promise<number>} Port the server listens on, once it is ready
+ * @throws {Error} If the process exits first or the probe times out
+ */
+function waitForReady(childProcess, options) {
+  const readiness = {
+    type: "auto",
+    timeoutMs: 30000,
+    intervalMs: 500,
+    ...(options.readiness || {}),
+  };
+  const patterns = toPatterns(
+    readiness.pattern || options.patterns || DEFAULT_READY_PATTERNS
+  );
+  const attemptTimeout = Math.min(ATTEMPT_TIMEOUT_MS, readiness.timeoutMs);
+
+  return new Promise((resolve, reject) => {
+    if (!childProcess || childProcess.exitCode !== null) {
+      reject(
+        new Error(
+          `Process already exited with code ${
+            childProcess ? childProcess.exitCode : "unknown"
+          }`
+        )
+      );
+      return;
+    }
+
+    let settled = false;
+    let pollTimer = null;
+    let recentOutput = "";
+    let announcedPort = null;
+    let port = options.port;
+    const watchLog = readiness.type === "log" || readiness.type === "auto";
+
+    const onOutput = (data) => {
+      // Keep a little of the previous chunk so split lines still match
+      const text = recentOutput + data.toString();
+      recentOutput = text.slice(-200);
+      if (!announcedPort) {
+        announcedPort = parseAnnouncedPort(text);
+      }
+      if (watchLog && patterns.some((pattern) => pattern.test(text))) {
+        finish();
+      }
+    };
+
+    const onExit = (code, signal) => {
+      finish(
+        new Error(
+          signal
+            ? `Process exited with signal ${signal} before becoming ready`
+            : `Process exited with code ${code} before becoming ready`
+        )
+      );
+    };
+
+    const timeout = setTimeout(() => {
+      finish(
+        new Error(
+          `Timeout waiting for server to be ready (${readiness.type} probe, ${readiness.timeoutMs}ms)`
+        )
+      );
+    }, readiness.timeoutMs);
+
+    function finish(error, readyPort) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeout);
+      clearTimeout(pollTimer);
+      childProcess.off("exit", onExit);
+      if (childProcess.stdout) childProcess.stdout.off("data", onOutput);
+      if (childProcess.stderr) childProcess.stderr.off("data", onOutput);
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve(
+          readyPort || discoverPort(childProcess, options.port, announcedPort)
+        );
+      }
+    }
+
+    childProcess.once("exit", onExit);
+
+    if (childProcess.stdout) childProcess.stdout.on("data", onOutput);
+    if (childProcess.stderr) childProcess.stderr.on("data", onOutput);
+
+    let probe = null;
+    let probesPort = false;
+    // Without a port (a service that serves nothing), auto only watches the log
+    if (
+      readiness.type === "tcp" ||
+      (readiness.type === "auto" && options.port)
+    ) {
+      probe = () => probeTcp(port, attemptTimeout);
+      probesPort = true;
+    } else if (readiness.type === "http") {
+      probesPort = true;
+      probe = () =>
+        probeHttp(
+          port,
+          readiness.path || "/",
+          readiness.status,
+          attemptTimeout
+        );
+    } else if (readiness.type === "script") {
+      probe = () =>
+        probeScript(
+          readiness.command,
+          { cwd: options.cwd, env: options.env, user: options.user },
+          attemptTimeout
+        );
+    }
+
+    if (probe) {
+      const attempt = async () => {
+        if (settled) {
+          return;
+        }
+        if (await probe()) {
+          finish(null, probesPort ? port : null);
+        } else if (!settled) {
+          // Follow a server that listens somewhere else
+          if (probesPort) {
+            port = discoverPort(childProcess, options.port, announcedPort);
+          }
+          pollTimer = setTimeout(attempt, readiness.intervalMs);
+        }
+      };
+      pollTimer = setTimeout(attempt, readiness.intervalMs);
+    }
+  });
+}
+
+module.exports = {
+  PROBE_TYPES,
+  DEFAULT_READY_PATTERNS,
+  parseAnnouncedPort,
+  discoverPort,
+  waitForReady,
+};
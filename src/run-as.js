@@ -0,0 +1,315 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { USER_HOME, isRootAllowed } = require("./config");
+const { tryExec } = require("./process-utils");
+
+/**
+ * Parse an /etc/passwd line ("name:x:uid:gid:gecos:home:shell")
+ */
+function parsePasswdLine(line) {
+  const fields = line.trim().split(":");
+  if (fields.length < 7) {
+    return null;
+  }
+  return {
+    name: fields[0],
+    uid: Number(fields[2]),
+    gid: Number(fields[3]),
+    home: fields[5],
+    shell: fields[6] || null,
+  };
+}
+
+/**
+ * Look a user up in the macOS directory service
+ */
+function lookupDarwinUser(key) {
+  const name = (tryExec("id", ["-nu", key]) || "").trim();
+  const uid = (tryExec("id", ["-u", key]) || "").trim();
+  const gid = (tryExec("id", ["-g", key]) || "").trim();
+  if (!name || !uid || !gid) {
+    return null;
+  }
+
+  const record = tryExec("dscl", [
+    ".",
+    "-read",
+    `/Users/${name}`,
+    "NFSHomeDirectory",
+    "UserShell",
+  ]);
+  const field = (fieldName) => {
+    const match = (record || "").match(
+      new RegExp(`^${fieldName}:\\s*(.+)$`, "m")
+    );
+    return match ? match[1].trim() : null;
+  };
+
+  return {
+    name,
+    uid: Number(uid),
+    gid: Number(gid),
+    home: field("NFSHomeDirectory") || path.join("/Users", name),
+    shell: field("UserShell"),
+  };
+}
+
+/**
+ * Look up a user account by name or uid
+ * @param {string|number} user - User name or numeric uid
+ * @returns {Object|null} { name, uid, gid, home, shell } or null if unknown
+ */
+function lookupUser(user) {
+  const key = String(user);
+  if (process.platform === "darwin") {
+    return lookupDarwinUser(key);
+  }
+
+  // getent also sees LDAP/NIS users; /etc/passwd is the fallback
+  const entry = tryExec("getent", ["passwd", key]);
+  if (entry) {
+    return parsePasswdLine(entry);
+  }
+
+  let lines;
+  try {
+    lines = fs.readFileSync("/etc/passwd", "utf8").split("\n");
+  } catch (error) {
+    return null;
+  }
+  const field = /^\d+$/.test(key) ? "uid" : "name";
+  return (
+    lines
+      .map(parsePasswdLine)
+      .find((account) => account && String(account[field]) === key) || null
+  );
+}
+
+/**
+ * Get the account owning a path; owners without an account (e.g. a uid
+ * from a container) keep the file's gid and Nextium's user home
+ */
+function getOwner(filePath) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    return null;
+  }
+  return (
+    lookupUser(stats.uid) || {
+      name: String(stats.uid),
+      uid: stats.uid,
+      gid: stats.gid,
+      home: USER_HOME,
+      shell: null,
+    }
+  );
+}
+
+/**
+ * Get the uid owning a project's nextium.config.js (the link itself, not
+ * what it points to), else the project directory's
+ */
+function getConfigOwnerUid(projectPath) {
+  for (const [file, stat] of [
+    [path.join(projectPath, "nextium.config.js"), fs.lstatSync],
+    [projectPath, fs.statSync],
+  ]) {
+    try {
+      return stat(file).uid;
+    } catch (error) {
+      // Try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the user a project's processes run as. Only a daemon running as
+ * root switches users: to the configured `user` (which has to be the
+ * account owning nextium.config.js, since whoever can write the file picks
+ * it), else the project directory's owner, else the owner of
+ * NEXTIUM_USER_HOME. Running as root needs `allowRoot: true` in
+ * ~/.nextium/config.json.
+ * @param {Object} project - Project from registry
+ * @returns {Object|null} { name, uid, gid, home, shell, source }, or null
+ *   to run as the current user
+ * @throws {Error} If the user is unknown, cannot be switched to, or would
+ *   be root without permission
+ */
+function resolveRunAsUser(project) {
+  if (typeof process.getuid !== "function") {
+    return null; // Windows
+  }
+
+  const config = project.config || {};
+  let user = null;
+  if (config.user !== undefined && config.user !== null) {
+    user = lookupUser(config.user);
+    if (!user) {
+      throw new Error(`Unknown user "${config.user}" (from nextium.config.js)`);
+    }
+    user.source = "nextium.config.js";
+  }
+
+  const currentUid = process.getuid();
+  if (currentUid !== 0) {
+    if (user && user.uid !== currentUid) {
+      throw new Error(
+        `Cannot run as ${user.name}: switching users needs Nextium to run as root`
+      );
+    }
+    return null;
+  }
+
+  if (user && user.uid !== getConfigOwnerUid(project.path)) {
+    throw new Error(
+      `Refusing to run as ${user.name} (from nextium.config.js): the file is not owned by ${user.name}`
+    );
+  }
+
+  if (!user) {
+    for (const [dir, source] of [
+      [project.path, "project directory owner"],
+      [USER_HOME, "NEXTIUM_USER_HOME owner"],
+    ]) {
+      const owner = getOwner(dir);
+      if (owner && owner.uid !== 0) {
+        user = { ...owner, source };
+        break;
+      }
+    }
+  }
+
+  if (!user || user.uid === 0) {
+    if (isRootAllowed()) {
+      return null;
+    }
+    throw new Error(
+      `Refusing to run the dev server as root (${project.path} is owned by root). Set "user" in a nextium.config.js owned by that user, or "allowRoot": true in ~/.nextium/config.json`
+    );
+  }
+
+  return user;
+}
+
+/**
+ * Resolve the user a project's nextium.config.js is evaluated as. The file
+ * is code, so a daemon running as root evaluates it as the file's owner,
+ * else the project directory's owner, else the owner of NEXTIUM_USER_HOME
+ * (the config's own `user` is not known until it has been evaluated).
+ * @param {string} projectPath - Path to project directory
+ * @returns {Object|null} { name, uid, gid, home, shell }, or null to
+ *   evaluate it in this process
+ * @throws {Error} If everything is owned by root without permission
+ */
+function resolveConfigUser(projectPath) {
+  if (typeof process.getuid !== "function" || process.getuid() !== 0) {
+    return null;
+  }
+
+  for (const file of [
+    path.join(projectPath, "nextium.config.js"),
+    projectPath,
+    USER_HOME,
+  ]) {
+    const owner = getOwner(file);
+    if (owner && owner.uid !== 0) {
+      return owner;
+    }
+  }
+
+  if (isRootAllowed()) {
+    return null;
+  }
+  throw new Error(
+    `Refusing to evaluate nextium.config.js as root (${projectPath} is owned by root). Set "allowRoot": true in ~/.nextium/config.json`
+  );
+}
+
+/**
+ * Give an environment the identity of the user it runs as: HOME, USER,
+ * LOGNAME and SHELL, without the sudo variables and per-user directories
+ * of the daemon's own account
+ * @param {Object} env - Environment (modified in place)
+ * @param {Object} user - Result of resolveRunAsUser
+ * @returns {Object} The environment
+ */
+function applyUserEnv(env, user) {
+  const ownHome = os.homedir();
+
+  for (const name of Object.keys(env)) {
+    if (
+      name.startsWith("SUDO_") ||
+      name === "MAIL" ||
+      (name.startsWith("XDG_") &&
+        (env[name] === ownHome || env[name].startsWith(ownHome + path.sep)))
+    ) {
+      delete env[name];
+    }
+  }
+  if (env.XDG_RUNTIME_DIR && !env.XDG_RUNTIME_DIR.endsWith(`/${user.uid}`)) {
+    delete env.XDG_RUNTIME_DIR;
+  }
+
+  env.HOME = user.home;
+  env.USER = user.name;
+  env.LOGNAME = user.name;
+  if (user.shell) {
+    env.SHELL = user.shell;
+  }
+  return env;
+}
+
+/**
+ * Get the spawn() options that run a child as a user
+ * @param {Object|null} user - Result of resolveRunAsUser
+ * @returns {Object} { uid, gid } or nothing for the current user
+ */
+function getSpawnIdentity(user) {
+  return user ? { uid: user.uid, gid: user.gid } : {};
+}
+
+/**
+ * Read a file with a user's permissions, in a process running as them
+ * @param {string} filePath - Absolute path to the file
+ * @param {Object} user - Result of resolveRunAsUser
+ * @returns {string} File contents
+ * @throws {Error} If the user cannot read it
+ */
+function readFileAs(filePath, user) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      "-e",
+      'process.stdout.write(require("fs").readFileSync(process.argv[1]))',
+      filePath,
+    ],
+    {
+      ...getSpawnIdentity(user),
+      encoding: "utf8",
+      timeout: 10000,
+      stdio: ["ignore", "pipe", "pipe"],
+    }
+  );
+  if (result.error) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    const match = /Error: (.+)/.exec(result.stderr);
+    throw new Error(match ? match[1] : `exit code ${result.status}`);
+  }
+  return result.stdout;
+}
+
+module.exports = {
+  lookupUser,
+  resolveRunAsUser,
+  resolveConfigUser,
+  applyUserEnv,
+  getSpawnIdentity,
+  readFileAs,
+};
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveRunAsUser, readFileAs } = require("./run-as");
+const { isInsideProject } = require("./process-utils");
+
+// Service names double as subdomain labels
+const SERVICE_NAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+// Procfile process types ("worker: node worker.js")
+const PROCFILE_LINE_PATTERN = /^([A-Za-z0-9_-]+):\s*(.+)$/;
+
+// The Procfile entry that is the project's own dev server, not a service
+const PROCFILE_MAIN = "web";
+
+// Parsed Procfiles by path ({ mtimeMs, size, entries })
+const procfileCache = new Map();
+
+/**
+ * Parse a Procfile
+ * @param {string} content - File contents
+ * @returns {Object} Commands keyed by process type
+ */
+function parseProcfile(content) {
+  const entries = {};
+  for (const line of content.split(/\r?\n/)) {
+    const match = PROCFILE_LINE_PATTERN.exec(line.trim());
+    if (match && !line.trim().startsWith("#")) {
+      entries[match[1]] = match[2].trim();
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read a project's Procfile. It has to be inside the project, and a daemon
+ * running as root reads it as the project's user (see resolveRunAsUser);
+ * the parsed file is reused until it changes.
+ * @param {Object} project - Project from registry
+ * @returns {Object} Commands keyed by process type
+ * @throws {Error} If the file is outside the project or cannot be read
+ */
+function readProcfile(project) {
+  const { procfile } = project.config;
+  const file = procfile === true ? "Procfile" : procfile;
+  const filePath = path.resolve(project.path, file);
+  try {
+    if (!isInsideProject(project.path, filePath)) {
+      throw new Error("it is outside the project");
+    }
+
+    const stats = fs.statSync(filePath);
+    const cached = procfileCache.get(filePath);
+    if (
+      cached &&
+      cached.mtimeMs === stats.mtimeMs &&
+      cached.size === stats.size
+    ) {
+      return cached.entries;
+    }
+
+    const user = resolveRunAsUser(project);
+    const entries = parseProcfile(
+      user ? readFileAs(filePath, user) : fs.readFileSync(filePath, "utf8")
+    );
+    procfileCache.set(filePath, {
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      entries,
+    });
+    return entries;
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the command of a project's Procfile `web` entry, used as the
+ * project's own command when it sets none
+ * @param {Object} project - Project from registry
+ * @returns {string|null} Command or null
+ */
+function getProcfileMainCommand(project) {
+  const config = project.config || {};
+  if (!config.procfile) {
+    return null;
+  }
+  try {
+    return readProcfile(project)[PROCFILE_MAIN] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List a project's sub-services: its Procfile entries (other than `web`)
+ * merged with the inline `services`
+ * @param {Object} project - Project from registry
+ * @returns {Array<Object>} { name, key, command, port, subdomain, cwd, env,
+ *   shell, readiness, dependsOn } (key: "<name>.<project domain>")
+ * @throws {Error} If the Procfile cannot be read or a service is incomplete
+ */
+function getProjectServices(project) {
+  const config = project.config || {};
+  const entries = {};
+
+  if (config.procfile) {
+    const procfile = readProcfile(project);
+    for (const [name, command] of Object.entries(procfile)) {
+      if (name !== PROCFILE_MAIN) {
+        // Procfile commands are shell command lines
+        entries[name] = { command, shell: true };
+      }
+    }
+  }
+  for (const [name, service] of Object.entries(config.services || {})) {
+    entries[name] = { ...entries[name], ...service };
+  }
+
+  return Object.entries(entries).map(([name, service]) => {
+    if (!SERVICE_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Service "${name}": names may only contain lowercase letters, numbers and hyphens`
+      );
+    }
+    if (service.command === undefined) {
+      throw new Error(
+        `Service "${name}" has no command and no entry in the Procfile`
+      );
+    }
+    return { ...service, name, key: `${name}.${config.domain}` };
+  });
+}
+
+/**
+ * Build the project entry a sub-service runs as: the project's config
+ * (user, node, envFile, idle, restart...) with the service's command,
+ * port, cwd, env and dependencies
+ * @param {string} domain - Project domain
+ * @param {Object} project - Project from registry
+ * @param {Object} service - Entry of getProjectServices
+ * @returns {Object} Project info for the service
+ */
+function toServiceProject(domain, project, service) {
+  const {
+    services,
+    procfile,
+    command,
+    shell,
+    cwd,
+    env,
+    port,
+    devFlags,
+    readiness,
+    watch,
+    dependsOn,
+    writeEnvFile,
+    ...inherited
+  } = project.config;
+
+  const config = {
+    ...inherited,
+    domain: service.key,
+    port: service.port === undefined ? null : service.port,
+    command: service.command,
+    shell: service.shell === true,
+    env: { ...env, ...service.env },
+    subdomain: service.subdomain === true,
+    // The project installs dependencies and watches files for the unit
+    autoInstall: false,
+    watch: false,
+  };
+  if (service.cwd !== undefined || cwd !== undefined) {
+    config.cwd = service.cwd !== undefined ? service.cwd : cwd;
+  }
+  if (service.readiness !== undefined) {
+    config.readiness = service.readiness;
+  }
+  // Services start after their project, so only their own dependencies
+  if (service.dependsOn !== undefined) {
+    config.dependsOn = service.dependsOn;
+  }
+
+  const entry = {
+    path: project.path,
+    registeredAt: project.registeredAt,
+    parent: domain,
+    service: service.name,
+    assignedPort: (project.servicePorts || {})[service.name],
+    config,
+  };
+  if (project.configError) {
+    entry.configError = project.configError;
+  }
+  return entry;
+}
+
+/**
+ * Get the domains that make up a project's unit: the project, then its
+ * sub-services
+ * @param {string} domain - Project domain
+ * @param {Object} project - Project from registry
+ * @returns {Array<string>} Domain and service keys
+ */
+function getUnitDomains(domain, project) {
+  try {
+    return [domain, ...getProjectServices(project).map((svc) => svc.key)];
+  } catch (error) {
+    return [domain];
+  }
+}
+
+/**
+ * Get the hostnames of the sub-services that are served on a subdomain
+ * @param {Object} projects - Projects keyed by domain
+ * @returns {Array<string>} Hostnames
+ */
+function getServiceHostnames(projects) {
+  const hostnames = [];
+  for (const project of Object.values(projects)) {
+    try {
+      for (const service of getProjectServices(project)) {
+        if (service.subdomain === true) {
+          hostnames.push(service.key);
+        }
+      }
+    } catch (error) {
+      // Unreadable Procfile - its services are reported by nextium ps
+    }
+  }
+  return hostnames;
+}
+
+module.exports = {
+  SERVICE_NAME_PATTERN,
+  PROCFILE_MAIN,
+  parseProcfile,
+  getProcfileMainCommand,
+  getProjectServices,
+  toServiceProject,
+  getUnitDomains,
+  getServiceHostnames,
+};
@@ -0,0 +1,187 @@
+const { EventEmitter } = require("events");
+
+// Startup phases, in order
+const STARTUP_PHASE = {
+  SPAWN: "spawn",
+  INSTALL: "install",
+  COMPILE: "compile",
+  READY: "ready",
+  FAILED: "failed",
+};
+
+const PHASE_ORDER = [
+  STARTUP_PHASE.SPAWN,
+  STARTUP_PHASE.INSTALL,
+  STARTUP_PHASE.COMPILE,
+  STARTUP_PHASE.READY,
+];
+
+// Output lines kept for the loading page
+const TAIL_LINES = 40;
+
+// Output that moves a start into the install or compile phase
+const INSTALL_PATTERNS = [/installing/i, /added \d+ packages?/i, /lockfile/i];
+const COMPILE_PATTERNS = [/compil/i, /bundl/i, /building/i, /starting/i];
+
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+
+// Progress of the most recent start, keyed by domain
+const startups = new Map();
+
+// Emits "update" with (domain, event) for every phase change, output line
+// and failure
+const startupEvents = new EventEmitter();
+startupEvents.setMaxListeners(0);
+
+/**
+ * Begin tracking a new start, replacing any previous progress
+ * @param {string} domain - Project domain
+ * @param {Object} details - { command, port }
+ */
+function beginStartup(domain, details = {}) {
+  startups.set(domain, {
+    phase: STARTUP_PHASE.SPAWN,
+    command: details.command,
+    port: details.port,
+    startedAt: new Date().toISOString(),
+    output: [],
+    partial: {},
+    error: null,
+    exitCode: null,
+    exitSignal: null,
+    nextRestartAt: null,
+  });
+  startupEvents.emit("update", domain, {
+    type: "phase",
+    phase: STARTUP_PHASE.SPAWN,
+  });
+}
+
+/**
+ * Move a start to a later phase (phases never go backwards)
+ * @param {string} domain - Project domain
+ * @param {string} phase - One of STARTUP_PHASE
+ */
+function setStartupPhase(domain, phase) {
+  const startup = startups.get(domain);
+  if (!startup || startup.phase === STARTUP_PHASE.FAILED) {
+    return;
+  }
+  if (PHASE_ORDER.indexOf(phase) <= PHASE_ORDER.indexOf(startup.phase)) {
+    return;
+  }
+
+  startup.phase = phase;
+  if (phase === STARTUP_PHASE.READY) {
+    startup.readyAt = new Date().toISOString();
+  }
+  startupEvents.emit("update", domain, { type: "phase", phase });
+}
+
+/**
+ * Record dev server output while it starts
+ * @param {string} domain - Project domain
+ * @param {string} stream - "stdout" or "stderr"
+ * @param {Buffer|string} chunk - Output chunk
+ */
+function recordStartupOutput(domain, stream, chunk) {
+  const startup = startups.get(domain);
+  if (!startup || startup.phase === STARTUP_PHASE.READY) {
+    return;
+  }
+
+  const lines = ((startup.partial[stream] || "") + chunk.toString()).split(
+    /\r?\n/
+  );
+  startup.partial[stream] = lines.pop();
+
+  for (const raw of lines) {
+    const text = raw.replace(ANSI_PATTERN, "");
+    startup.output.push({ stream, text });
+    if (startup.output.length > TAIL_LINES) {
+      startup.output.shift();
+    }
+    startupEvents.emit("update", domain, { type: "output", stream, text });
+
+    if (INSTALL_PATTERNS.some((pattern) => pattern.test(text))) {
+      setStartupPhase(domain, STARTUP_PHASE.INSTALL);
+    } else if (COMPILE_PATTERNS.some((pattern) => pattern.test(text))) {
+      setStartupPhase(domain, STARTUP_PHASE.COMPILE);
+    }
+  }
+}
+
+/**
+ * Record how a start ended when the process exits before becoming ready
+ * @param {string} domain - Project domain
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Exit signal
+ */
+function recordStartupExit(domain, code, signal) {
+  const startup = startups.get(domain);
+  if (!startup || startup.phase === STARTUP_PHASE.READY) {
+    return;
+  }
+
+  startup.exitCode = code;
+  startup.exitSignal = signal;
+}
+
+/**
+ * Mark a start as failed
+ * @param {string} domain - Project domain
+ * @param {Error} error - Why the start failed
+ * @param {Object} details - { nextRestartAt } when a crash restart follows
+ */
+function failStartup(domain, error, details = {}) {
+  const startup = startups.get(domain);
+  if (!startup || startup.phase === STARTUP_PHASE.FAILED) {
+    return;
+  }
+
+  // Keep the last partial line - it is often the actual error
+  for (const [stream, text] of Object.entries(startup.partial)) {
+    if (text) {
+      startup.output.push({ stream, text: text.replace(ANSI_PATTERN, "") });
+    }
+  }
+  startup.partial = {};
+
+  startup.phase = STARTUP_PHASE.FAILED;
+  startup.error = error.message;
+  startup.nextRestartAt = details.nextRestartAt || null;
+  startupEvents.emit("update", domain, {
+    type: "failed",
+    error: startup.error,
+    exitCode: startup.exitCode,
+    exitSignal: startup.exitSignal,
+    nextRestartAt: startup.nextRestartAt,
+    output: startup.output,
+  });
+}
+
+/**
+ * Get the progress of a project's most recent start
+ * @param {string} domain - Project domain
+ * @returns {Object|null} Progress snapshot or null if never started
+ */
+function getStartupProgress(domain) {
+  const startup = startups.get(domain);
+  if (!startup) {
+    return null;
+  }
+
+  const { partial, ...snapshot } = startup;
+  return { ...snapshot, output: [...startup.output] };
+}
+
+module.exports = {
+  STARTUP_PHASE,
+  startupEvents,
+  beginStartup,
+  setStartupPhase,
+  recordStartupOutput,
+  recordStartupExit,
+  failStartup,
+  getStartupProgress,
+};
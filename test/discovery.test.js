@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toUrlVariable } = require("../src/discovery");
+
+test("toUrlVariable drops the .nextium.local suffix", () => {
+  assert.strictEqual(toUrlVariable("api.nextium.local"), "NEXTIUM_URL_API");
+  assert.strictEqual(
+    toUrlVariable("admin.shop.nextium.local"),
+    "NEXTIUM_URL_ADMIN_SHOP"
+  );
+});
+
+test("toUrlVariable keeps other domains whole", () => {
+  assert.strictEqual(
+    toUrlVariable("api.example.test"),
+    "NEXTIUM_URL_API_EXAMPLE_TEST"
+  );
+  assert.strictEqual(
+    toUrlVariable("nextium.local.example"),
+    "NEXTIUM_URL_NEXTIUM_LOCAL_EXAMPLE"
+  );
+});
+
+test("toUrlVariable collapses runs of other characters", () => {
+  assert.strictEqual(
+    toUrlVariable("my--app.v2.nextium.local"),
+    "NEXTIUM_URL_MY_APP_V2"
+  );
+});
+
+test("toUrlVariable maps hyphens and dots alike", () => {
+  // Why getDiscoveryEnv has to detect collisions
+  assert.strictEqual(
+    toUrlVariable("admin-shop.nextium.local"),
+    toUrlVariable("admin.shop.nextium.local")
+  );
+});
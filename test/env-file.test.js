@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseEnvFile } = require("../src/env-file");
+
+test("parseEnvFile reads plain assignments", () => {
+  assert.deepStrictEqual(parseEnvFile("A=1\nexport B=two\n  C = three  \n"), {
+    A: "1",
+    B: "two",
+    C: "three",
+  });
+});
+
+test("parseEnvFile skips comments, blank lines and invalid names", () => {
+  assert.deepStrictEqual(
+    parseEnvFile("# comment\n\nA=1 # trailing\n1BAD=x\nnot a line\n"),
+    { A: "1" }
+  );
+});
+
+test("parseEnvFile keeps single-quoted values literal", () => {
+  assert.deepStrictEqual(parseEnvFile("A='x\\ny # not a comment'"), {
+    A: "x\\ny # not a comment",
+  });
+});
+
+test("parseEnvFile expands escapes in double quotes", () => {
+  assert.deepStrictEqual(parseEnvFile('A="line\\nnext\\t\\"q\\""'), {
+    A: 'line\nnext\t"q"',
+  });
+});
+
+test("parseEnvFile reads multi-line double-quoted values", () => {
+  assert.deepStrictEqual(parseEnvFile('KEY="-----BEGIN\nabc\n-----END"\nB=2'), {
+    KEY: "-----BEGIN\nabc\n-----END",
+    B: "2",
+  });
+});
+
+test("parseEnvFile handles CRLF line endings and empty values", () => {
+  assert.deepStrictEqual(parseEnvFile("A=1\r\nB=\r\n"), { A: "1", B: "" });
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Log files go to a throwaway ~/.nextium
+const home = fs.mkdtempSync(path.join(os.tmpdir(), "nextium-logs-"));
+process.env.NEXTIUM_USER_HOME = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { parseSince, createLogWriter, getLogFile } = require("../src/logs");
+
+test("parseSince counts durations back from now", () => {
+  const before = Date.now();
+  const since = parseSince("10m").getTime();
+  const after = Date.now();
+
+  assert.ok(since >= before - 600000 && since <= after - 600000);
+});
+
+test("parseSince accepts every unit, case-insensitively", () => {
+  const now = Date.now();
+  const cases = { "30s": 30000, "2h": 7200000, "1d": 86400000, "5 M": 300000 };
+
+  for (const [value, ms] of Object.entries(cases)) {
+    const age = now - parseSince(value).getTime();
+    assert.ok(Math.abs(age - ms) < 1000, `${value} was ${age}ms ago`);
+  }
+});
+
+test("parseSince accepts dates", () => {
+  assert.strictEqual(
+    parseSince("2024-05-01T12:00:00Z").toISOString(),
+    "2024-05-01T12:00:00.000Z"
+  );
+});
+
+test("parseSince rejects anything else", () => {
+  assert.throws(() => parseSince("yesterday"), /Invalid --since value/);
+  assert.throws(() => parseSince("10w"), /Invalid --since value/);
+});
+
+test("log writers of one project follow each other's rotations", () => {
+  const domain = "rotate.nextium.local";
+  const server = createLogWriter(domain);
+  const other = createLogWriter(domain);
+
+  server.system("before");
+  // Push the current file past its size limit through the other writer
+  const filler = "x".repeat(1024);
+  for (let i = 0; i < 5 * 1024 + 1; i++) {
+    other.write("stdout", `${filler}\n`);
+  }
+  other.close();
+  server.system("after");
+  server.close();
+
+  assert.match(fs.readFileSync(getLogFile(domain, 1), "utf8"), /before/);
+  assert.match(fs.readFileSync(getLogFile(domain), "utf8"), /nextium \| after/);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { satisfiesRange } = require("../src/node-version");
+
+/**
+ * Assert which of the given versions a range matches
+ */
+function assertMatches(range, matching, other) {
+  for (const version of matching) {
+    assert.ok(
+      satisfiesRange(version.split(".").map(Number), range),
+      `${version} should satisfy ${range}`
+    );
+  }
+  for (const version of other) {
+    assert.ok(
+      !satisfiesRange(version.split(".").map(Number), range),
+      `${version} should not satisfy ${range}`
+    );
+  }
+}
+
+test("satisfiesRange matches exact and partial versions", () => {
+  assertMatches("20", ["20.0.0", "20.11.1"], ["18.19.0", "21.0.0"]);
+  assertMatches("20.11", ["20.11.0", "20.11.1"], ["20.10.0", "20.12.0"]);
+  assertMatches("20.x", ["20.5.0"], ["19.9.9"]);
+  assertMatches("=20.11.1", ["20.11.1"], ["20.11.0"]);
+});
+
+test("satisfiesRange handles caret and tilde ranges", () => {
+  assertMatches("^18.17", ["18.17.0", "18.20.4"], ["18.16.9", "19.0.0"]);
+  assertMatches("~20.11", ["20.11.0", "20.11.9"], ["20.12.0", "20.10.5"]);
+  assertMatches("~20", ["20.0.0", "20.18.0"], ["21.0.0"]);
+});
+
+test("satisfiesRange handles comparators and their combinations", () => {
+  assertMatches(">=20 <22", ["20.0.0", "21.9.9"], ["19.9.9", "22.0.0"]);
+  assertMatches(">20", ["21.0.0"], ["20.99.0"]);
+  assertMatches("<=20", ["20.99.0", "18.0.0"], ["21.0.0"]);
+  assertMatches(">= 18.17.0", ["18.17.0", "22.0.0"], ["18.16.0"]);
+});
+
+test("satisfiesRange handles hyphen ranges and alternatives", () => {
+  assertMatches("18 - 20", ["18.0.0", "20.18.0"], ["17.9.0", "21.0.0"]);
+  assertMatches(
+    "^18 || >=20.5 <22",
+    ["18.3.0", "20.5.0", "21.1.0"],
+    ["19.0.0", "20.4.0", "22.0.0"]
+  );
+});
+
+test("satisfiesRange treats an empty set as any version", () => {
+  assertMatches("", ["14.0.0", "22.0.0"], []);
+  assertMatches("^18 || ", ["14.0.0", "22.0.0"], []);
+});
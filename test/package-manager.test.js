@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { detectPackageManager } = require("../src/package-manager");
+
+/**
+ * Create a temporary directory tree: { "relative/path": contents }
+ */
+function makeTree(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "nextium-pm-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), contents);
+  }
+  return root;
+}
+
+test("detectPackageManager defaults to npm", (t) => {
+  const root = makeTree(t, { "package.json": "{}" });
+  const result = detectPackageManager(root);
+
+  assert.strictEqual(result.name, "npm");
+  assert.strictEqual(result.source, "default");
+  assert.strictEqual(result.lockfile, null);
+});
+
+test("detectPackageManager detects the lockfile", (t) => {
+  for (const [lockfile, name] of [
+    ["pnpm-lock.yaml", "pnpm"],
+    ["yarn.lock", "yarn"],
+    ["bun.lockb", "bun"],
+    ["package-lock.json", "npm"],
+  ]) {
+    const root = makeTree(t, { [lockfile]: "" });
+    const result = detectPackageManager(root);
+
+    assert.strictEqual(result.name, name);
+    assert.strictEqual(result.source, "lockfile");
+    assert.strictEqual(result.lockfile, path.join(root, lockfile));
+  }
+});
+
+test("detectPackageManager finds a monorepo root's lockfile", (t) => {
+  const root = makeTree(t, {
+    "pnpm-lock.yaml": "",
+    "apps/web/package.json": "{}",
+  });
+  const result = detectPackageManager(path.join(root, "apps/web"));
+
+  assert.strictEqual(result.name, "pnpm");
+  assert.strictEqual(result.lockfile, path.join(root, "pnpm-lock.yaml"));
+});
+
+test("detectPackageManager prefers the packageManager field", (t) => {
+  const root = makeTree(t, { "yarn.lock": "" });
+  const result = detectPackageManager(root, {
+    pkg: { packageManager: "pnpm@9.1.0+sha256.abc" },
+  });
+
+  assert.strictEqual(result.name, "pnpm");
+  assert.strictEqual(result.version, "9.1.0");
+  assert.strictEqual(result.source, "packageManager");
+  // The lockfile belongs to another package manager
+  assert.strictEqual(result.lockfile, null);
+});
+
+test("detectPackageManager ignores unsupported packageManager fields", (t) => {
+  const root = makeTree(t, { "yarn.lock": "" });
+  const result = detectPackageManager(root, {
+    pkg: { packageManager: "deno@1.0.0" },
+  });
+
+  assert.strictEqual(result.name, "yarn");
+  assert.strictEqual(result.source, "lockfile");
+});
+
+test("detectPackageManager lets the config override everything", (t) => {
+  const root = makeTree(t, { "bun.lock": "" });
+  const result = detectPackageManager(root, {
+    override: "npm",
+    pkg: { packageManager: "yarn@4.1.0" },
+  });
+
+  assert.strictEqual(result.name, "npm");
+  assert.strictEqual(result.source, "config");
+  assert.strictEqual(result.lockfile, null);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  checkDependencyGraph,
+  pickEvictionCandidate,
+} = require("../src/process-manager");
+
+/**
+ * Build a project lookup from { domain: [dependencies] }
+ */
+function graph(dependencies) {
+  return (domain) =>
+    dependencies[domain]
+      ? { config: { domain, dependsOn: dependencies[domain] } }
+      : null;
+}
+
+test("checkDependencyGraph accepts a graph without cycles", () => {
+  const lookup = graph({
+    web: ["api", "auth"],
+    api: ["db"],
+    auth: ["db"],
+    db: [],
+  });
+
+  assert.doesNotThrow(() => checkDependencyGraph("web", lookup));
+});
+
+test("checkDependencyGraph names the cycle", () => {
+  const lookup = graph({ web: ["api"], api: ["auth"], auth: ["web"] });
+
+  assert.throws(
+    () => checkDependencyGraph("web", lookup),
+    /^Error: Dependency cycle: web -> api -> auth -> web$/
+  );
+});
+
+test("checkDependencyGraph finds cycles that do not include the start", () => {
+  const lookup = graph({ web: ["api"], api: ["db"], db: ["api"] });
+
+  assert.throws(
+    () => checkDependencyGraph("web", lookup),
+    /^Error: Dependency cycle: api -> db -> api$/
+  );
+});
+
+test("checkDependencyGraph rejects a project depending on itself", () => {
+  assert.throws(
+    () => checkDependencyGraph("web", graph({ web: ["web"] })),
+    /^Error: Dependency cycle: web -> web$/
+  );
+});
+
+test("checkDependencyGraph names unregistered dependencies", () => {
+  assert.throws(
+    () => checkDependencyGraph("web", graph({ web: ["api"], api: ["db"] })),
+    /^Error: api depends on db, which is not registered$/
+  );
+});
+
+/**
+ * Build a unit as enforceResourceLimits groups them
+ */
+function unit(domain, lastAccess, overrides = {}) {
+  return { domain, lastAccess, manual: false, starting: false, ...overrides };
+}
+
+const noDependents = () => false;
+
+test("pickEvictionCandidate picks the least recently accessed unit", () => {
+  const units = [unit("a", 300), unit("b", 100), unit("c", 200)];
+
+  assert.strictEqual(
+    pickEvictionCandidate(units, new Set(), noDependents).domain,
+    "b"
+  );
+});
+
+test("pickEvictionCandidate skips manual and starting units", () => {
+  const units = [
+    unit("a", 100, { manual: true }),
+    unit("b", 200, { starting: true }),
+    unit("c", 300),
+  ];
+
+  assert.strictEqual(
+    pickEvictionCandidate(units, new Set(), noDependents).domain,
+    "c"
+  );
+});
+
+test("pickEvictionCandidate skips the incoming start and its dependencies", () => {
+  const units = [unit("db", 100), unit("api", 200), unit("docs", 300)];
+
+  assert.strictEqual(
+    pickEvictionCandidate(units, new Set(["api", "db"]), noDependents).domain,
+    "docs"
+  );
+});
+
+test("pickEvictionCandidate skips units something running depends on", () => {
+  const units = [unit("db", 100), unit("web", 200)];
+
+  assert.strictEqual(
+    pickEvictionCandidate(units, new Set(), (domain) => domain === "db").domain,
+    "web"
+  );
+});
+
+test("pickEvictionCandidate returns nothing when no unit can go", () => {
+  const units = [unit("a", 100, { manual: true }), unit("b", 200)];
+
+  assert.strictEqual(
+    pickEvictionCandidate(units, new Set(["b"]), noDependents),
+    undefined
+  );
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { splitCommand, parseCpuTime } = require("../src/process-utils");
+
+test("splitCommand splits on whitespace", () => {
+  assert.deepStrictEqual(splitCommand("  node  server.js --port 3000 "), [
+    "node",
+    "server.js",
+    "--port",
+    "3000",
+  ]);
+});
+
+test("splitCommand honours quotes", () => {
+  assert.deepStrictEqual(
+    splitCommand(`node "my server.js" --title 'a "b" c'`),
+    ["node", "my server.js", "--title", 'a "b" c']
+  );
+});
+
+test("splitCommand joins quoted and unquoted parts of one argument", () => {
+  assert.deepStrictEqual(splitCommand(`--name="a b"c`), ["--name=a bc"]);
+});
+
+test("splitCommand keeps empty quoted arguments", () => {
+  assert.deepStrictEqual(splitCommand(`cmd "" ''`), ["cmd", "", ""]);
+});
+
+test("splitCommand applies backslash escapes outside single quotes", () => {
+  assert.deepStrictEqual(splitCommand(`a\\ b "c\\"d" 'e\\f'`), [
+    "a b",
+    'c"d',
+    "e\\f",
+  ]);
+});
+
+test("splitCommand rejects unterminated quotes", () => {
+  assert.throws(() => splitCommand(`node "server.js`), /Unterminated " quote/);
+});
+
+test("parseCpuTime reads minutes and seconds", () => {
+  assert.strictEqual(parseCpuTime("00:00"), 0);
+  assert.strictEqual(parseCpuTime("01:05"), 65);
+  assert.strictEqual(parseCpuTime("2:03.50"), 123.5);
+});
+
+test("parseCpuTime reads hours and days", () => {
+  assert.strictEqual(parseCpuTime("1:00:01"), 3601);
+  assert.strictEqual(parseCpuTime("2-03:04:05"), 2 * 86400 + 3 * 3600 + 245);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const { once } = require("events");
+const {
+  parseAnnouncedPort,
+  discoverPort,
+  waitForReady,
+} = require("../src/readiness");
+
+test("parseAnnouncedPort reads local URLs", () => {
+  assert.strictEqual(
+    parseAnnouncedPort("  ➜  Local:   http://localhost:5174/"),
+    5174
+  );
+  assert.strictEqual(
+    parseAnnouncedPort("ready on https://127.0.0.1:3443"),
+    3443
+  );
+  assert.strictEqual(parseAnnouncedPort("at http://[::1]:8080/app"), 8080);
+  assert.strictEqual(parseAnnouncedPort("on http://0.0.0.0:4000"), 4000);
+});
+
+test("parseAnnouncedPort reads listening messages", () => {
+  assert.strictEqual(parseAnnouncedPort("Server listening on port 4000"), 4000);
+  assert.strictEqual(parseAnnouncedPort("App started at port: 8081"), 8081);
+});
+
+test("parseAnnouncedPort ignores colours and other output", () => {
+  assert.strictEqual(
+    parseAnnouncedPort(
+      "\u001b[32mLocal:\u001b[39m http://localhost:\u001b[1m5173\u001b[22m/"
+    ),
+    5173
+  );
+  assert.strictEqual(parseAnnouncedPort("compiled in 1200ms"), null);
+  assert.strictEqual(parseAnnouncedPort("see http://example.com:8080"), null);
+});
+
+/**
+ * Spawn a process that listens on the given number of free ports
+ * @returns {Promise<Object>} { child, ports } (ports in ascending order)
+ */
+async function spawnListener(t, count) {
+  const child = spawn(
+    process.execPath,
+    [
+      "-e",
+      `const net = require("net");
+      const servers = Array.from({ length: ${count} }, () =>
+        net.createServer().listen(0, "127.0.0.1"));
+      Promise.all(servers.map((s) => new Promise((r) => s.on("listening", r))))
+        .then(() => console.log(JSON.stringify(servers.map((s) => s.address().port))));`,
+    ],
+    { stdio: ["ignore", "pipe", "inherit"] }
+  );
+  t.after(() => child.kill());
+
+  const [data] = await once(child.stdout, "data");
+  const ports = JSON.parse(data.toString()).sort((a, b) => a - b);
+  return { child, ports };
+}
+
+test("discoverPort keeps the allocated port when it is used", async (t) => {
+  const { child, ports } = await spawnListener(t, 2);
+
+  assert.strictEqual(discoverPort(child, ports[1], ports[0]), ports[1]);
+});
+
+test("discoverPort prefers the announced port among the listening ones", async (t) => {
+  const { child, ports } = await spawnListener(t, 2);
+
+  assert.strictEqual(discoverPort(child, 1, ports[1]), ports[1]);
+});
+
+test("discoverPort falls back to the lowest listening port", async (t) => {
+  const { child, ports } = await spawnListener(t, 2);
+
+  assert.strictEqual(discoverPort(child, 1, null), ports[0]);
+  // An announced port nothing listens on is not trusted
+  assert.strictEqual(discoverPort(child, 1, 2), ports[0]);
+});
+
+test("discoverPort trusts the output when nothing listens yet", async (t) => {
+  const { child } = await spawnListener(t, 0);
+
+  assert.strictEqual(discoverPort(child, 3000, 3001), 3001);
+  assert.strictEqual(discoverPort(child, 3000, null), 3000);
+});
+
+test("waitForReady only watches the log for auto probes without a port", async (t) => {
+  const child = spawn(
+    process.execPath,
+    [
+      "-e",
+      'setTimeout(() => console.log("worker ready"), 200); setTimeout(() => {}, 5000)',
+    ],
+    { stdio: ["ignore", "pipe", "pipe"] }
+  );
+  t.after(() => child.kill());
+
+  const port = await waitForReady(child, {
+    port: null,
+    readiness: { pattern: "worker ready", intervalMs: 20, timeoutMs: 5000 },
+  });
+  assert.strictEqual(port, null);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseProcfile, getProjectServices } = require("../src/services");
+
+test("parseProcfile reads process types", () => {
+  assert.deepStrictEqual(
+    parseProcfile(
+      "web: npm run dev\r\nworker:   node worker.js --queue=a  \n\n"
+    ),
+    { web: "npm run dev", worker: "node worker.js --queue=a" }
+  );
+});
+
+test("parseProcfile skips comments and malformed lines", () => {
+  assert.deepStrictEqual(
+    parseProcfile("# web: old\nnot an entry\nbad name: x\nemail_1: run\n"),
+    { email_1: "run" }
+  );
+});
+
+test("getProjectServices lists inline services", () => {
+  const services = getProjectServices({
+    path: "/nonexistent",
+    config: {
+      domain: "shop.nextium.local",
+      services: { api: { command: "node api.js", port: 4000 } },
+    },
+  });
+
+  assert.deepStrictEqual(services, [
+    {
+      command: "node api.js",
+      port: 4000,
+      name: "api",
+      key: "api.shop.nextium.local",
+    },
+  ]);
+});
+
+/**
+ * Create a project directory with the given files. As root it is handed to
+ * "nobody", since a root daemon does not read root-owned projects.
+ */
+function makeProject(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "nextium-services-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const [file, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(root, file), contents);
+  }
+  if (process.getuid && process.getuid() === 0) {
+    for (const file of ["", ...Object.keys(files)]) {
+      fs.chownSync(path.join(root, file), 65534, 65534);
+    }
+  }
+  return root;
+}
+
+test("getProjectServices merges the Procfile, without web", (t) => {
+  const root = makeProject(t, {
+    Procfile: "web: next dev\nworker: node worker.js\nqueue: redis-server\n",
+  });
+
+  const services = getProjectServices({
+    path: root,
+    config: {
+      domain: "shop.nextium.local",
+      procfile: true,
+      services: { worker: { dependsOn: ["queue"] } },
+    },
+  });
+
+  assert.deepStrictEqual(services, [
+    {
+      command: "node worker.js",
+      shell: true,
+      dependsOn: ["queue"],
+      name: "worker",
+      key: "worker.shop.nextium.local",
+    },
+    {
+      command: "redis-server",
+      shell: true,
+      name: "queue",
+      key: "queue.shop.nextium.local",
+    },
+  ]);
+});
+
+test("getProjectServices rejects invalid names and missing commands", () => {
+  const project = (services) => ({
+    path: "/nonexistent",
+    config: { domain: "shop.nextium.local", services },
+  });
+
+  assert.throws(
+    () => getProjectServices(project({ Api: { command: "x" } })),
+    /names may only contain/
+  );
+  assert.throws(
+    () => getProjectServices(project({ api: { port: 4000 } })),
+    /has no command/
+  );
+});
+
+test("getProjectServices reports an unreadable Procfile", () => {
+  assert.throws(
+    () =>
+      getProjectServices({
+        path: "/nonexistent",
+        config: { domain: "shop.nextium.local", procfile: "Procfile.dev" },
+      }),
+    /Cannot read Procfile\.dev/
+  );
+});
+
+test("getProjectServices refuses a Procfile outside the project", (t) => {
+  const root = makeProject(t, {});
+  fs.symlinkSync("/etc/passwd", path.join(root, "Procfile"));
+
+  assert.throws(
+    () =>
+      getProjectServices({
+        path: root,
+        config: { domain: "shop.nextium.local", procfile: true },
+      }),
+    /Cannot read Procfile: it is outside the project/
+  );
+});